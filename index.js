@@ -1,588 +1,4214 @@
 require('dotenv').config();
 const admin = require('firebase-admin');
-const { Client, LocalAuth } = require('whatsapp-web.js');
+const { MessageMedia } = require('whatsapp-web.js');
 const qrcode = require('qrcode-terminal');
+const path = require('path');
+const crypto = require('crypto');
+const http = require('http');
+const net = require('net');
+const dns = require('dns');
+const QRCode = require('qrcode');
+const ExcelJS = require('exceljs');
+const { initializeFirestore } = require('./lib/adapters/firestore');
+const { createWhatsAppTransport, cleanupStaleSessions } = require('./lib/adapters/whatsapp');
+const { createTelegramChannel } = require('./lib/channels/telegram');
+const { createSmtpTransport, createEmailChannel } = require('./lib/channels/email');
+const { createWebhookChannel } = require('./lib/channels/webhook');
+const {
+    getStores,
+    getStore,
+    getPrimaryStore,
+    findStore,
+    runInStore,
+    forEachStore,
+    storeCollection,
+    paymentField,
+    readPaymentData,
+    getStoreLabel,
+    findPaymentStores
+} = require('./lib/stores');
+const { loadRoutingConfig, matchAlertChats } = require('./lib/routing');
+const { DEFAULT_TEMPLATES, loadMessageTemplates, selectTemplate, parseTemplate, renderTemplate } = require('./lib/templates');
+const { parseStorePrefix, parseCommand, parseAlertReply, buildHelpText } = require('./lib/commands');
 
-// Initialize Firebase Admin SDK
-let db;
-try {
-    let serviceAccount;
+// Adapters: each store's payment source (Firestore, or a fixture store when simulating) and the
+// messaging transport (WhatsApp Web, or the console). Set by startApp()/useAdapters().
+let createTransport = () => createWhatsAppTransport(getPrimaryStore().db, getPrimaryStore().app);
+
+// WhatsApp client; replaced by the connection supervisor whenever it has to be rebuilt
+let client = null;
+
+// WhatsApp connection status
+let isWhatsAppReady = false;
+let isServerRunning = true; // false while paused; persisted in notifierState/control
+let latestQr = null; // Current login QR code, served by GET /qr until WhatsApp authenticates
+
+// Connection supervisor: rebuilds the WhatsApp client with exponential backoff and jitter,
+// and raises an out-of-band alert (email and/or webhook) when WhatsApp stays down too long
+const reconnectBaseDelayMs = (parseInt(process.env.RECONNECT_BASE_DELAY_SECONDS, 10) || 5) * 1000;
+const reconnectMaxDelayMs = (parseInt(process.env.RECONNECT_MAX_DELAY_SECONDS, 10) || 300) * 1000;
+const outageAlertAfterMs = (parseInt(process.env.OUTAGE_ALERT_AFTER_MINUTES, 10) || 10) * 60 * 1000;
+const outageCheckIntervalMs = 30 * 1000;
+const connectionState = {
+    attempt: 0,          // Consecutive failed restarts, drives the backoff
+    downSince: Date.now(), // When WhatsApp was last seen going down (null while connected)
+    restartTimer: null,
+    restarting: false,
+    outageAlertSent: false
+};
+
+// Outbound send pipeline: every bot-initiated message goes through a per-chat queue that
+// spaces sends out, retries transient errors with backoff and dead-letters what keeps failing
+const sendChatIntervalMs = (parseFloat(process.env.SEND_CHAT_INTERVAL_SECONDS) || 3) * 1000;
+const sendGlobalIntervalMs = parseInt(process.env.SEND_GLOBAL_INTERVAL_MS, 10) || 1000;
+const sendMaxRetries = parseInt(process.env.SEND_MAX_RETRIES, 10) || 3;
+const sendRetryBaseMs = 2000;
+const sendRetryMaxMs = 60 * 1000;
+const PERMANENT_SEND_ERRORS = /invalid wid|wid error|no lid for user|not a valid|chat not found/i;
+const maxDeadLetterMediaChars = 700 * 1024; // Base64 media larger than this is not kept (1 MiB document limit)
+const sendQueues = new Map(); // chatId -> { jobs, running, nextSendAt }
+let nextGlobalSendAt = 0;
+
+// Notification ledger settings
+// Every payment document records its own delivery state in `notificationStatus`:
+//   queued  - detected while WhatsApp was not ready, waiting to be replayed
+//   sending - claimed by the bot, send in progress
+//   sent    - announced to the group (see `notifiedAt`)
+//   failed  - last attempt failed, retried until NOTIFICATION_MAX_ATTEMPTS
+const maxNotificationAttempts = parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS, 10) || 5;
+const notificationClaimTimeoutMs = 2 * 60 * 1000; // A 'sending' claim older than this is considered crashed
+const replayIntervalMs = 60 * 1000; // Failed and stalled notifications are retried this often
+// Each store keeps its listener, resume checkpoint (createTime of the newest payment
+// already settled in the ledger) and delivery chain (see queueStoreDeliveries()) in `store.monitor`
+
+// Sender roles: each role can run its own commands and those of the roles below it
+const ROLE_LEVELS = {
+    viewer: 1,   // status, lookups, help, ping
+    approver: 2, // approve and reject payments
+    admin: 3     // server control
+};
+
+// Every member of the command chats is an admin only when explicitly allowed
+const allowAllMembers = process.env.WHATSAPP_ALLOW_ALL_MEMBERS === 'true';
+const senderRoles = loadSenderRoles();
+
+// Payment state machine: allowed status changes for approve/reject/refund commands
+const PAYMENT_TRANSITIONS = {
+    pending: ['approved', 'rejected'],
+    approved: ['refunded'],
+    rejected: [],
+    refunded: []
+};
+
+// Field holding the free-text reason for each target status
+const TRANSITION_REASON_FIELDS = {
+    approved: 'approvalNote',
+    rejected: 'rejectionReason',
+    refunded: 'refundReason'
+};
+
+// Statuses that cannot be set without a reason
+const REASON_REQUIRED_STATUSES = ['rejected', 'refunded'];
+
+// How long after a status change `[PAYMENT_ID] undo` may revert it
+const undoWindowMs = (parseInt(process.env.UNDO_WINDOW_MINUTES, 10) || 10) * 60 * 1000;
+
+// Customer notifications (opt-in): message the payer on approval/rejection
+const customerNotificationsEnabled = process.env.CUSTOMER_NOTIFICATIONS_ENABLED === 'true';
+const defaultCountryCode = (process.env.DEFAULT_COUNTRY_CODE || '977').replace(/\D/g, ''); // Nepal
+
+// Digital-goods fulfillment: codes delivered to the customer with "[PAYMENT_ID] + delivered ..."
+// or assigned on approval from a stock pool ({ product, variant, code, status: 'available' })
+const autoAssignCodes = process.env.CODE_STOCK_AUTO_ASSIGN === 'true';
+const codeStockLowThreshold = parseInt(process.env.CODE_STOCK_LOW_THRESHOLD, 10) || 5;
+
+// Payment screenshots attached to new order alerts
+const SCREENSHOT_FIELDS = ['screenshotUrl', 'screenshot', 'paymentScreenshot', 'screenshotPath', 'storagePath'];
+const maxScreenshotBytes = (parseFloat(process.env.SCREENSHOT_MAX_MB) || 5) * 1024 * 1024;
+const screenshotTimeoutMs = 15000;
+const screenshotCache = new Map(); // location -> { screenshot, cachedAt }, shared by risk checks and alerts
+const screenshotCacheTtlMs = 5 * 60 * 1000;
+// Screenshot URLs come from the customer-written payment, so only https on these hosts is fetched
+const screenshotHosts = ['firebasestorage.googleapis.com', 'storage.googleapis.com',
+    ...(process.env.SCREENSHOT_HOSTS || '').split(',')]
+    .map(host => host.trim().toLowerCase().replace(/^\[|\]$/g, ''))
+    .filter(Boolean);
+// ...and never an internal address: loopback, private, link-local (cloud metadata), multicast and reserved ranges
+const BLOCKED_SCREENSHOT_ADDRESSES = new net.BlockList();
+[['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.168.0.0', 16], ['224.0.0.0', 3]]
+    .forEach(([address, prefix]) => BLOCKED_SCREENSHOT_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]
+    .forEach(([address, prefix]) => BLOCKED_SCREENSHOT_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+// Risk checks run on every new payment before its alert is sent
+const TRANSACTION_ID_FIELDS = ['transactionId', 'transactionRef', 'transactionReference', 'referenceId', 'txnId'];
+const velocityWindowMs = (parseInt(process.env.RISK_VELOCITY_WINDOW_MINUTES, 10) || 60) * 60 * 1000;
+const velocityMaxPayments = parseInt(process.env.RISK_VELOCITY_MAX_PAYMENTS, 10) || 3;
+
+// Short payment codes shown in alerts ("#A7K2"); no 0/O or 1/I to avoid misreading
+const SHORT_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const SHORT_CODE_LENGTH = 4;
+
+// Payment exports (export command and scripts/export-payments.js)
+const EXPORT_FORMATS = {
+    csv: { mimetype: 'text/csv', extension: 'csv' },
+    xlsx: { mimetype: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+};
+const PAYMENT_STATUSES = ['pending', 'approved', 'rejected', 'refunded'];
+
+// Query commands (pending, today, search, last N) and their `more` pagination
+const paymentDateField = process.env.PAYMENT_DATE_FIELD || 'createdAt';
+const queryPageSize = parseInt(process.env.QUERY_PAGE_SIZE, 10) || 10;
+const maxQueryResults = 100;
+const queryPages = new Map(); // chatId -> { title, results, offset, storeId }
+
+// Currency shown when a payment's amount doesn't name one
+const defaultCurrency = process.env.DEFAULT_CURRENCY || 'Rs';
+
+// Local time zone for day boundaries, reports and schedules
+const botTimeZone = process.env.BOT_TIMEZONE || 'Asia/Kathmandu';
+
+// Scheduled sales reports
+const reportSchedule = (process.env.REPORT_SCHEDULE || 'off').toLowerCase(); // off, daily or weekly
+const reportTime = process.env.REPORT_TIME || '21:00';
+const reportWeekday = (process.env.REPORT_WEEKDAY || 'sunday').toLowerCase();
+const reportRange = process.env.REPORT_RANGE || (reportSchedule === 'weekly' ? 'week' : 'today');
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Reminders for payments left pending, and escalation to a backup chat
+const reminderAfterMs = (parseInt(process.env.REMINDER_AFTER_MINUTES, 10) || 0) * 60 * 1000; // 0 disables reminders
+const reminderRepeatMs = (parseInt(process.env.REMINDER_REPEAT_MINUTES, 10) || 0) * 60 * 1000 || reminderAfterMs;
+const escalateAfterMs = (parseInt(process.env.ESCALATE_AFTER_MINUTES, 10) || 0) * 60 * 1000;
+const reminderMaxAgeMs = (parseInt(process.env.REMINDER_MAX_AGE_MINUTES, 10) || 24 * 60) * 60 * 1000; // older payments are left alone
+const escalationChatId = process.env.ESCALATION_CHAT_ID || null;
+const quietHours = parseTimeWindow(process.env.QUIET_HOURS); // e.g. "22:00-07:00" in BOT_TIMEZONE
+const REVIEWED_STATUSES = ['approved', 'rejected', 'refunded'];
+
+// Quiet-hours digest (opt-in): payments arriving during QUIET_HOURS are collected and
+// announced in one message per chat when the quiet hours end
+const quietHoursDigest = process.env.QUIET_HOURS_DIGEST === 'true';
+const maxDigestItems = 50;
+let isSendingDigest = false;
+
+// Notification channels: each event goes to the channels listed in its CHANNELS_* variable
+const NOTIFICATION_EVENTS = {
+    new_payment: { envVar: 'CHANNELS_NEW_PAYMENT', defaultChannels: 'whatsapp' },
+    approved: { envVar: 'CHANNELS_APPROVED', defaultChannels: '' },
+    rejected: { envVar: 'CHANNELS_REJECTED', defaultChannels: '' }
+};
+const CHANNEL_NAMES = ['whatsapp', 'telegram', 'email', 'webhook'];
+let notificationChannels = null; // Loaded on first use, see getNotificationChannels()
+const telegramReasonPrompts = new Map(); // "chatId:messageId" -> { paymentId, storeId, alertMessageId, at }
+const telegramPromptTtlMs = 60 * 60 * 1000;
+
+// Function to create a WhatsApp client (through the configured transport) with the event handlers attached
+function createWhatsAppClient() {
+    const newClient = createTransport();
+    
+    // Events from a client that has since been replaced are ignored
+    const on = (event, handler) => newClient.on(event, (...args) => {
+        if (newClient === client) {
+            return handler(...args);
+        }
+    });
+    
+    on('qr', (qr) => {
+        latestQr = qr;
+        console.log('📱 WhatsApp QR Code generated. Scan with your phone:');
+        qrcode.generate(qr, { small: true });
+        console.log('\n💡 Scan the QR code above with your WhatsApp mobile app');
+    });
+    
+    on('ready', async () => {
+        console.log('✅ WhatsApp client is ready!');
+        isWhatsAppReady = true;
+        markWhatsAppUp();
+        
+        // Replay notifications that were queued or interrupted while WhatsApp was down
+        await forEachStore(() => queueStoreDeliveries(replayPendingNotifications));
+        
+        // Show available chats for group ID reference
+        console.log('💡 To send to a WhatsApp group:');
+        console.log('   1. Add this bot to your group');
+        console.log('   2. Send any message in the group');
+        console.log('   3. Check the console for the group ID');
+        console.log('   4. Update WHATSAPP_PHONE_NUMBER in .env with the group ID');
+        
+        // List available chats to help find groups
+        try {
+            const chats = await client.getChats();
+            console.log('\n📱 Available chats:');
+            chats.forEach(chat => {
+                if (chat.isGroup) {
+                    console.log(`   Group: ${chat.name} - ID: ${chat.id._serialized}`);
+                }
+            });
+        } catch (error) {
+            console.log('⚠️ Could not fetch chats:', error.message);
+        }
+    });
+    
+    on('authenticated', () => {
+        latestQr = null;
+        console.log('🔐 WhatsApp authentication successful');
+    });
+    
+    on('remote_session_saved', () => {
+        console.log('💾 WhatsApp session backed up');
+    });
+    
+    on('auth_failure', (msg) => {
+        console.error('❌ WhatsApp authentication failed:', msg);
+        scheduleWhatsAppRestart(`authentication failed: ${msg}`);
+    });
+    
+    // Listen for messages to help find group IDs and handle commands
+    on('message', (message) => {
+        if (message.from.includes('@g.us')) {
+            console.log(`📱 Group message detected! Group ID: ${message.from}`);
+            console.log(`   Group Name: ${message.fromMe ? 'You' : 'Other'}`);
+            console.log(`💡 Copy this Group ID and update your .env file:`);
+            console.log(`   WHATSAPP_PHONE_NUMBER=${message.from}`);
+        }
+        
+        // Handle commands
+        handleCommand(message);
+    });
+    
+    on('disconnected', (reason) => {
+        console.log('⚠️ WhatsApp client disconnected:', reason);
+        scheduleWhatsAppRestart(`disconnected: ${reason}`);
+    });
+    
+    return newClient;
+}
+
+// Function to build a fresh WhatsApp client and initialize it, replacing the current one
+async function restartWhatsAppClient() {
+    connectionState.restartTimer = null;
+    connectionState.restarting = true;
+    
+    const oldClient = client;
+    client = createWhatsAppClient();
+    
+    if (oldClient) {
+        try {
+            await oldClient.destroy();
+        } catch (error) {
+            console.log('⚠️ Could not close the previous WhatsApp client:', error.message);
+        }
+    }
+    
+    try {
+        console.log('📱 Initializing WhatsApp client...');
+        await client.initialize();
+    } catch (error) {
+        console.error('❌ WhatsApp client failed to start:', error.message);
+        connectionState.restarting = false;
+        scheduleWhatsAppRestart(`initialization failed: ${error.message}`);
+        return;
+    }
+    
+    connectionState.restarting = false;
+}
+
+// Function to get the delay before the next restart: exponential backoff with jitter
+function getBackoffDelay(attempt) {
+    const ceiling = Math.min(reconnectBaseDelayMs * 2 ** attempt, reconnectMaxDelayMs);
+    // Wait between half and all of the ceiling so several bots don't reconnect in lockstep
+    return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
+// Function to mark WhatsApp as down and schedule a rebuild of the client
+function scheduleWhatsAppRestart(reason) {
+    isWhatsAppReady = false;
+    if (!connectionState.downSince) {
+        connectionState.downSince = Date.now();
+    }
+    
+    // One restart at a time; the running one reschedules itself if it fails
+    if (connectionState.restartTimer || connectionState.restarting) {
+        return;
+    }
+    
+    const delay = getBackoffDelay(connectionState.attempt);
+    connectionState.attempt++;
+    console.log(`🔄 Rebuilding WhatsApp client in ${Math.round(delay / 1000)}s (attempt ${connectionState.attempt}, ${reason})`);
+    connectionState.restartTimer = setTimeout(() => {
+        restartWhatsAppClient().catch((error) => {
+            console.error('❌ Error restarting WhatsApp client:', error.message);
+        });
+    }, delay);
+}
+
+// Function to reset the supervisor once WhatsApp is connected again
+function markWhatsAppUp() {
+    const downSince = connectionState.downSince;
+    connectionState.attempt = 0;
+    connectionState.downSince = null;
+    
+    if (connectionState.outageAlertSent) {
+        connectionState.outageAlertSent = false;
+        const minutes = Math.round((Date.now() - downSince) / 60000);
+        sendOutOfBandAlert('recovered', '✅ WhatsApp bot reconnected', `The WhatsApp bot is connected again after ${minutes} minutes down.`);
+    }
+}
+
+// Function to raise an out-of-band alert when WhatsApp has been down past OUTAGE_ALERT_AFTER_MINUTES
+function checkWhatsAppOutage() {
+    if (isWhatsAppReady || !connectionState.downSince || connectionState.outageAlertSent) {
+        return;
+    }
+    
+    const downForMs = Date.now() - connectionState.downSince;
+    if (downForMs < outageAlertAfterMs) {
+        return;
+    }
+    
+    connectionState.outageAlertSent = true;
+    const minutes = Math.round(downForMs / 60000);
+    const detail = latestQr ? ' It is waiting for a QR scan (GET /qr on the admin server).' : '';
+    sendOutOfBandAlert(
+        'down',
+        '🔴 WhatsApp bot is down',
+        `The WhatsApp bot has been disconnected for ${minutes} minutes after ${connectionState.attempt} reconnect attempts.${detail} Payment alerts are queued until it reconnects.`
+    );
+}
+
+// Function to start the outage watcher
+function startOutageWatcher() {
+    if (!process.env.SMTP_HOST && !process.env.OUTAGE_WEBHOOK_URL) {
+        console.log('⚠️ No SMTP_HOST or OUTAGE_WEBHOOK_URL configured. WhatsApp outages are only logged.');
+        return;
+    }
+    
+    setInterval(checkWhatsAppOutage, outageCheckIntervalMs);
+}
+
+// Function to send an alert outside WhatsApp, by email (SMTP_HOST) and/or webhook (OUTAGE_WEBHOOK_URL)
+async function sendOutOfBandAlert(event, subject, text) {
+    console.log(`📣 Out-of-band alert: ${subject}`);
+    
+    if (process.env.SMTP_HOST && process.env.ALERT_EMAIL_TO) {
+        try {
+            await createSmtpTransport().sendMail({
+                from: process.env.ALERT_EMAIL_FROM || process.env.SMTP_USER,
+                to: process.env.ALERT_EMAIL_TO,
+                subject,
+                text
+            });
+            console.log(`✅ Alert emailed to ${process.env.ALERT_EMAIL_TO}`);
+        } catch (error) {
+            console.error('❌ Error sending alert email:', error.message);
+        }
+    }
+    
+    if (process.env.OUTAGE_WEBHOOK_URL) {
+        try {
+            const response = await fetch(process.env.OUTAGE_WEBHOOK_URL, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ event, subject, text, timestamp: new Date().toISOString() }),
+                signal: AbortSignal.timeout(10000)
+            });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            console.log('✅ Alert posted to webhook');
+        } catch (error) {
+            console.error('❌ Error posting alert webhook:', error.message);
+        }
+    }
+}
+
+// Function to load the sender allowlist from WHATSAPP_ADMINS, WHATSAPP_APPROVERS and WHATSAPP_VIEWERS
+function loadSenderRoles() {
+    const roles = new Map();
+    const roleEnvVars = {
+        viewer: 'WHATSAPP_VIEWERS',
+        approver: 'WHATSAPP_APPROVERS',
+        admin: 'WHATSAPP_ADMINS'
+    };
+    
+    for (const [role, envVar] of Object.entries(roleEnvVars)) {
+        const numbers = (process.env[envVar] || '').split(',').map(normalizeWhatsAppNumber).filter(Boolean);
+        for (const number of numbers) {
+            // A number listed under several roles keeps the highest one
+            const currentRole = roles.get(number);
+            if (!currentRole || ROLE_LEVELS[role] > ROLE_LEVELS[currentRole]) {
+                roles.set(number, role);
+            }
+        }
+    }
+    
+    if (allowAllMembers) {
+        console.log('⚠️ WHATSAPP_ALLOW_ALL_MEMBERS is on. Every member of the configured chats can run every command.');
+    } else if (roles.size === 0) {
+        console.log('⚠️ No WHATSAPP_ADMINS/WHATSAPP_APPROVERS/WHATSAPP_VIEWERS configured.');
+        console.log('   Chat members can only view payments. Set WHATSAPP_ALLOW_ALL_MEMBERS=true to let everyone run every command.');
+    }
+    
+    return roles;
+}
+
+// Function to reduce a WhatsApp ID ("9779800000000@c.us", "+977 980-0000000") to its digits
+function normalizeWhatsAppNumber(id) {
+    return String(id || '').split('@')[0].split(':')[0].replace(/\D/g, '');
+}
+
+// Function to identify who sent a message (the author in groups, the chat in direct messages)
+async function getMessageSender(message) {
+    const senderId = message.author || message.from;
+    let number = normalizeWhatsAppNumber(senderId);
+    let name = null;
+    
+    try {
+        const contact = await message.getContact();
+        if (contact) {
+            // Group authors can be privacy IDs (@lid); the contact carries the real number
+            number = normalizeWhatsAppNumber(contact.number) || number;
+            name = contact.pushname || contact.name || null;
+        }
+    } catch (error) {
+        console.log('⚠️ Could not fetch sender contact:', error.message);
+    }
+    
+    // Without an allowlist, members may only look (viewer); approving needs a listed number
+    const role = allowAllMembers ? 'admin' : (senderRoles.get(number) || (senderRoles.size === 0 ? 'viewer' : null));
+    
+    return { id: senderId, number, name, role };
+}
+
+// Function to check the sender's role, replying politely when it is not enough
+async function authorizeSender(message, requiredRole, action) {
+    const sender = await getMessageSender(message);
+    
+    if (sender.role && ROLE_LEVELS[sender.role] >= ROLE_LEVELS[requiredRole]) {
+        return sender;
+    }
+    
+    console.warn(`⛔ Unauthorized attempt to ${action} by ${sender.name || 'unknown'} (${sender.number || sender.id}) in ${message.from}`);
+    await message.reply(`⛔ Sorry, you don't have permission to ${action}. Please ask an admin for access.`);
+    return null;
+}
+
+// Function to format who performed an action for replies
+function formatSender(sender) {
+    if (!sender) {
+        return 'WhatsApp Bot';
+    }
+    if (!sender.number) {
+        return sender.name || 'WhatsApp Bot';
+    }
+    return sender.name ? `${sender.name} (+${sender.number})` : `+${sender.number}`;
+}
+
+// Function to handle WhatsApp commands
+async function handleCommand(message) {
+    // Only respond to commands from configured chats (alert, admin and escalation chats of any store)
+    const chatStores = getStores().filter(store => getRoutingConfig(store).commandChats.has(message.from));
+    if (chatStores.length === 0) {
+        return;
+    }
+    
+    try {
+        const target = await resolveCommandStore(message.body.trim(), message, chatStores);
+        if (target) {
+            await runInStore(target.store, () => runCommand(target.commandText, message));
+        }
+    } catch (error) {
+        console.error('❌ Error handling command:', error.message);
+    }
+}
+
+// Function to pick the store a command is for. A "STORE: command" prefix names it; otherwise a chat
+// serving one store uses that store, and a chat shared by several stores finds it from the quoted
+// alert, the payment reference or the last query ("more"). Server commands run in the first store.
+// Resolves to { store, commandText }, or null when the command is not for this chat or was answered.
+async function resolveCommandStore(commandText, message, chatStores) {
+    const prefix = parseStorePrefix(commandText);
+    const prefixStore = prefix ? findStore(prefix.storeId) : null;
+    if (prefixStore) {
+        return chatStores.includes(prefixStore) ? { store: prefixStore, commandText: prefix.commandText } : null;
+    }
+    
+    if (chatStores.length === 1) {
+        return { store: chatStores[0], commandText };
+    }
+    
+    // A reply to an alert belongs to the store that sent the alert
+    if (message.hasQuotedMsg) {
+        const quotedMessage = await message.getQuotedMsg();
+        for (const store of quotedMessage ? chatStores : []) {
+            const alertDoc = await storeCollection('alertMessages', store).doc(quotedMessage.id._serialized).get();
+            if (alertDoc.exists) {
+                return { store, commandText };
+            }
+        }
+    }
+    
+    const command = parseCommand(commandText);
+    if (command && command.reference) {
+        const reference = command.reference;
+        const found = await findPaymentStores(reference, chatStores);
+        if (found.length > 1) {
+            await message.reply(`⚠️ Payment ${reference} exists in several stores (${found.map(store => store.id).join(', ')}). Start the command with the store, e.g. "${found[0].id}: ${commandText}".`);
+            return null;
+        }
+        // A payment found nowhere is reported as not found by the first store
+        return { store: found[0] || chatStores[0], commandText };
+    }
+    
+    if (command && command.query === 'more' && queryPages.has(message.from)) {
+        return { store: findStore(queryPages.get(message.from).storeId) || chatStores[0], commandText };
+    }
+    
+    if (command && (command.name === 'server' || command.name === 'resend')) {
+        return { store: getPrimaryStore(), commandText };
+    }
+    
+    if (command && ['query', 'export', 'report'].includes(command.name)) {
+        await message.reply(`🏬 This chat serves several stores (${chatStores.map(store => store.id).join(', ')}). Start the command with the store, e.g. "${chatStores[0].id}: ${commandText}".`);
+    }
+    return null;
+}
+
+// Function to run a command in the current store
+async function runCommand(originalMessage, message) {
+    try {
+        // Check for a reply to a payment alert: "approve", "reject [REASON]", "status", "undo"
+        if (message.hasQuotedMsg && await handleAlertReply(originalMessage, message)) {
+            return;
+        }
+        
+        // Don't respond to random messages, only commands
+        const command = parseCommand(originalMessage);
+        if (!command) {
+            return;
+        }
+        
+        switch (command.name) {
+            case 'status':
+                if (await authorizeSender(message, 'viewer', 'check payment status')) {
+                    const paymentId = await resolvePaymentId(command.reference, message);
+                    if (paymentId) {
+                        await handleStatusCheck(paymentId, message);
+                    }
+                }
+                break;
+                
+            case 'redeliver':
+                await handleRedeliverCommand(command.reference, message);
+                break;
+                
+            case 'delivered':
+                await handleDeliveredCommand(command.reference, command.content, message);
+                break;
+                
+            case 'transition':
+                await handleTransitionCommand(command.reference, command.status, command.reason, message);
+                break;
+                
+            case 'undo':
+                await handleUndoCommand(command.reference, message);
+                break;
+                
+            case 'query':
+                if (await authorizeSender(message, 'viewer', 'look up payments')) {
+                    await handleQueryCommand(command.query, command.argument, message);
+                }
+                break;
+                
+            case 'export':
+                if (await authorizeSender(message, 'approver', 'export payments')) {
+                    await handleExportCommand(command.args, message);
+                }
+                break;
+                
+            case 'report':
+                if (await authorizeSender(message, 'viewer', 'view reports')) {
+                    await handleReportCommand(command.args, message);
+                }
+                break;
+                
+            case 'resend':
+                if (await authorizeSender(message, 'approver', 'resend failed messages')) {
+                    await handleResendCommand(command.id, message);
+                }
+                break;
+                
+            case 'server':
+                if (await authorizeSender(message, command.role, `use "${command.command}"`)) {
+                    await handleServerCommand(command.command, message);
+                }
+                break;
+        }
+    } catch (error) {
+        console.error('❌ Error handling command:', error.message);
+    }
+}
+
+// Function to run a fixed-text command: server control, status, help, ping
+async function handleServerCommand(messageText, message) {
+    switch (messageText) {
+            
+        case 'start':
+        case 'start server':
+        case 'resume':
+            if (!isServerRunning) {
+                await setServerRunning(true, await getMessageSender(message));
+                await message.reply('✅ Server resumed! Sending held payments and monitoring...');
+                console.log('✅ Server resume command received');
+                await forEachStore(() => queueStoreDeliveries(releaseHeldPayments));
+            } else {
+                await message.reply('ℹ️ Server is already running!');
+            }
+            break;
+            
+        case 'pause':
+        case 'stop':
+        case 'stop server':
+            if (isServerRunning) {
+                await setServerRunning(false, await getMessageSender(message));
+                await message.reply('⏸️ Server paused. New payments are held and sent on "resume".');
+                console.log('⏸️ Server pause command received');
+            } else {
+                await message.reply('ℹ️ Server is already paused.');
+            }
+            break;
+            
+        case 'status':
+        case 'server status':
+            const status = isServerRunning ? '🟢 Running' : `⏸️ Paused (${await countInAllStores(countHeldNotifications)} held)`;
+            const whatsappStatus = isWhatsAppReady ? '🟢 Connected' : '🔴 Disconnected';
+            const queuedCount = await countInAllStores(countQueuedNotifications);
+            const queueStatus = queuedCount > 0 ? `📝 ${queuedCount} queued` : '✅ No queue';
+            await message.reply(`📊 Server Status:\n${status}\nWhatsApp: ${whatsappStatus}\nQueue: ${queueStatus}`);
+            break;
+            
+        case 'failed':
+            await handleFailedCommand(message);
+            break;
+            
+        case 'help':
+        case 'commands':
+            await message.reply(buildHelpText({
+                undoWindowMinutes: undoWindowMs / 60000,
+                storeIds: getStores().map(store => store.id)
+            }));
+            break;
+            
+        case 'ping':
+            await message.reply('🏓 Pong! Server is alive.');
+            break;
+            
+        default:
+            break;
+    }
+}
+
+// Function to run a query command and reply with the first page of results
+async function handleQueryCommand(command, argument, message) {
+    const chatId = message.from;
+    
+    if (command === 'more') {
+        await replyQueryPage(chatId, message);
+        return;
+    }
+    
+    try {
+        let title;
+        let results;
+        
+        switch (command) {
+            case 'pending':
+                title = '⏳ Pending payments (oldest first)';
+                results = await findPendingPayments();
+                break;
+            case 'today':
+                title = '📅 Payments today';
+                results = await findPaymentsSince(startOfToday());
+                break;
+            case 'last': {
+                const count = Math.min(parseInt(argument, 10) || 5, maxQueryResults);
+                title = `🕒 Last ${count} payments`;
+                results = await findLatestPayments(count);
+                break;
+            }
+            case 'search':
+                title = `🔎 Payments matching "${argument}"`;
+                results = await searchPayments(argument);
+                break;
+        }
+        
+        const storeLabel = getStores().length > 1 ? getStoreLabel() : null;
+        queryPages.set(chatId, { title: storeLabel ? `${title} - ${storeLabel}` : title, results, offset: 0, storeId: getStore().id });
+        await replyQueryPage(chatId, message);
+    } catch (error) {
+        console.error(`❌ Error running "${command}" query:`, error.message);
+        await message.reply('❌ Error looking up payments. Please try again.');
+    }
+}
+
+// Function to reply with the next page of a chat's last query
+async function replyQueryPage(chatId, message) {
+    const page = queryPages.get(chatId);
+    
+    if (!page) {
+        await message.reply('ℹ️ Nothing to continue. Try "pending", "today", "last 10" or "search [TEXT]".');
+        return;
+    }
+    
+    if (page.results.length === 0) {
+        queryPages.delete(chatId);
+        await message.reply(`${page.title}\n\nNo payments found.`);
+        return;
+    }
+    
+    const pageResults = page.results.slice(page.offset, page.offset + queryPageSize);
+    const lines = pageResults.map((paymentData, i) =>
+        renderMessage('listItem', paymentData, { index: page.offset + i + 1 }));
+    
+    page.offset += pageResults.length;
+    const remaining = page.results.length - page.offset;
+    const footer = remaining > 0 ? `\n\n➡️ ${remaining} more. Send "more" to continue.` : '';
+    
+    if (remaining === 0) {
+        queryPages.delete(chatId);
+    }
+    
+    await message.reply(`${page.title} (${page.results.length})\n\n${lines.join('\n')}${footer}`);
+}
+
+// Function to get a payment's creation time in milliseconds for sorting
+function getPaymentTime(paymentData) {
+    const createdAt = normalizePayment(paymentData).createdAt;
+    return createdAt ? createdAt.getTime() : 0;
+}
+
+// Function to convert a query snapshot into payment objects
+function snapshotToPayments(snapshot) {
+    return snapshot.docs.map(readPaymentData);
+}
+
+// Function to get the start of the current day in BOT_TIMEZONE
+function startOfToday() {
+    const today = getZonedParts(new Date());
+    return zonedTimeToDate(today.year, today.month, today.day);
+}
+
+// Function to show a date and time in messages, in the bot's time zone
+function formatBotDateTime(date) {
+    return date.toLocaleString(undefined, { timeZone: botTimeZone });
+}
+
+// Function to read the calendar date and time of an instant in a time zone
+function getZonedParts(date, timeZone = botTimeZone) {
+    const parts = {};
+    const formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric',
+        weekday: 'long'
+    });
+    
+    for (const part of formatter.formatToParts(date)) {
+        parts[part.type] = part.value;
+    }
+    
+    return {
+        year: parseInt(parts.year, 10),
+        month: parseInt(parts.month, 10),
+        day: parseInt(parts.day, 10),
+        hour: parseInt(parts.hour, 10),
+        minute: parseInt(parts.minute, 10),
+        second: parseInt(parts.second, 10),
+        weekday: parts.weekday.toLowerCase()
+    };
+}
+
+// Function to convert a wall-clock time in a time zone into a Date
+function zonedTimeToDate(year, month, day, hour = 0, minute = 0, timeZone = botTimeZone) {
+    const wallClockAsUtc = Date.UTC(year, month - 1, day, hour, minute);
+    let instant = wallClockAsUtc;
+    
+    // Two passes settle the offset, including across daylight saving changes
+    for (let i = 0; i < 2; i++) {
+        const parts = getZonedParts(new Date(instant), timeZone);
+        const shownAsUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+        instant += wallClockAsUtc - shownAsUtc;
+    }
+    
+    return new Date(instant);
+}
+
+// Function to format a local calendar date as YYYY-MM-DD
+function formatDateKey(parts) {
+    return `${parts.year}-${String(parts.month).padStart(2, '0')}-${String(parts.day).padStart(2, '0')}`;
+}
+
+// Function to find payments waiting for review, oldest first
+// (needs a composite index on status + PAYMENT_DATE_FIELD, ascending)
+async function findPendingPayments() {
+    const snapshot = await storeCollection('payments')
+        .where('status', '==', 'pending')
+        .orderBy(paymentField(paymentDateField), 'asc')
+        .limit(maxQueryResults)
+        .get();
+    
+    return snapshotToPayments(snapshot);
+}
+
+// Function to find payments created since a point in time, newest first
+async function findPaymentsSince(since) {
+    const snapshot = await storeCollection('payments')
+        .where(paymentField(paymentDateField), '>=', since)
+        .orderBy(paymentField(paymentDateField), 'desc')
+        .limit(maxQueryResults)
+        .get();
+    
+    return snapshotToPayments(snapshot);
+}
+
+// Function to find the most recent payments
+async function findLatestPayments(count) {
+    const snapshot = await storeCollection('payments')
+        .orderBy(paymentField(paymentDateField), 'desc')
+        .limit(count)
+        .get();
+    
+    return snapshotToPayments(snapshot);
+}
+
+// Function to search payments by phone number, email or customer name (prefix), newest first
+async function searchPayments(query) {
+    const paymentsRef = storeCollection('payments');
+    const text = query.trim();
+    const snapshots = [];
+    
+    if (text.includes('@')) {
+        const emails = [...new Set([text, text.toLowerCase()])];
+        snapshots.push(await paymentsRef.where(paymentField('email'), 'in', emails).limit(maxQueryResults).get());
+    } else if (/^[+\d\s()-]+$/.test(text)) {
+        // Phone numbers are stored as typed by the customer, so try the common spellings
+        const digits = text.replace(/\D/g, '');
+        const localNumber = digits.startsWith(defaultCountryCode) && digits.length > 10
+            ? digits.slice(defaultCountryCode.length)
+            : digits.replace(/^0+/, '');
+        const variants = [...new Set([
+            text,
+            digits,
+            localNumber,
+            `0${localNumber}`,
+            `${defaultCountryCode}${localNumber}`,
+            `+${defaultCountryCode}${localNumber}`,
+            `+${defaultCountryCode} ${localNumber}`
+        ])];
+        snapshots.push(await paymentsRef.where(paymentField('phone'), 'in', variants).limit(maxQueryResults).get());
+    } else {
+        // Firestore has no case-insensitive search; try the text as typed and in Title Case
+        const titleCase = text.replace(/\b\w/g, letter => letter.toUpperCase());
+        for (const prefix of new Set([text, titleCase])) {
+            snapshots.push(await paymentsRef
+                .where(paymentField('fullName'), '>=', prefix)
+                .where(paymentField('fullName'), '<=', `${prefix}\uf8ff`)
+                .limit(maxQueryResults)
+                .get());
+        }
+    }
+    
+    const results = new Map();
+    for (const snapshot of snapshots) {
+        for (const paymentData of snapshotToPayments(snapshot)) {
+            results.set(paymentData.id, paymentData);
+        }
+    }
+    
+    return [...results.values()].sort((a, b) => getPaymentTime(b) - getPaymentTime(a));
+}
+
+// Function to turn a report range ("today", "yesterday", "week", "month", "2026-10-01", "2026-10-01..2026-10-07")
+// into { start, end, label } with `end` exclusive, or null when it cannot be parsed
+function parseReportRange(rangeText) {
+    const text = (rangeText || 'today').trim().toLowerCase();
+    const today = getZonedParts(new Date());
+    const dayStart = (year, month, day, offsetDays = 0) => zonedTimeToDate(year, month, day + offsetDays);
+    
+    if (text === 'today') {
+        return { start: dayStart(today.year, today.month, today.day), end: dayStart(today.year, today.month, today.day, 1), label: `Today (${formatDateKey(today)})` };
+    }
+    
+    if (text === 'yesterday') {
+        const start = dayStart(today.year, today.month, today.day, -1);
+        return { start, end: dayStart(today.year, today.month, today.day), label: `Yesterday (${formatDateKey(getZonedParts(start))})` };
+    }
+    
+    if (text === 'week') {
+        const start = dayStart(today.year, today.month, today.day, -6);
+        return { start, end: dayStart(today.year, today.month, today.day, 1), label: `Last 7 days (${formatDateKey(getZonedParts(start))} to ${formatDateKey(today)})` };
+    }
+    
+    if (text === 'month') {
+        const start = dayStart(today.year, today.month, 1);
+        return { start, end: dayStart(today.year, today.month, today.day, 1), label: `This month (${formatDateKey(today).slice(0, 7)})` };
+    }
+    
+    const rangeMatch = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:\s*(?:\.\.|to|-)\s*(\d{4})-(\d{1,2})-(\d{1,2}))?$/);
+    if (!rangeMatch) {
+        return null;
+    }
+    
+    const [from, to] = [rangeMatch.slice(1, 4), rangeMatch[4] ? rangeMatch.slice(4, 7) : rangeMatch.slice(1, 4)]
+        .map(date => date.map(value => parseInt(value, 10)));
+    const start = dayStart(from[0], from[1], from[2]);
+    const end = dayStart(to[0], to[1], to[2], 1);
+    
+    if (isNaN(start.getTime()) || isNaN(end.getTime()) || end <= start) {
+        return null;
+    }
+    
+    const fromKey = formatDateKey({ year: from[0], month: from[1], day: from[2] });
+    const toKey = formatDateKey({ year: to[0], month: to[1], day: to[2] });
+    return { start, end, label: fromKey === toKey ? fromKey : `${fromKey} to ${toKey}` };
+}
+
+// Function to format an amount in rupees
+function formatMoney(amount, currency = defaultCurrency) {
+    return `${currency} ${formatAmount(amount)}`;
+}
+
+// Function to add a payment to a { key: { count, amount } } breakdown
+function addToBreakdown(breakdown, key, amount) {
+    const entry = breakdown[key] || (breakdown[key] = { count: 0, amount: 0 });
+    entry.count++;
+    entry.amount += amount;
+}
+
+// Function to build a sales summary for payments created in [start, end)
+async function buildSalesReport(range) {
+    const snapshot = await storeCollection('payments')
+        .where(paymentField(paymentDateField), '>=', range.start)
+        .where(paymentField(paymentDateField), '<', range.end)
+        .get();
+    
+    const totals = { count: 0, amount: 0 };
+    const byStatus = {};
+    const byProduct = {};
+    const byVariant = {};
+    const byMethod = {};
+    
+    for (const paymentData of snapshotToPayments(snapshot)) {
+        const payment = normalizePayment(paymentData);
+        const amount = payment.total || 0;
+        
+        totals.count++;
+        totals.amount += amount;
+        addToBreakdown(byStatus, payment.status, amount);
+        addToBreakdown(byMethod, payment.paymentMethod || 'Unknown', amount);
+        
+        // Products and variants are counted per order item; a single-item order gets the order total
+        const items = payment.items.length > 0 ? payment.items : [{ name: null, variantLabel: null, lineTotal: null }];
+        for (const item of items) {
+            const itemAmount = items.length === 1 ? amount : (item.lineTotal || 0);
+            addToBreakdown(byProduct, item.name || 'Unknown', itemAmount);
+            addToBreakdown(byVariant, `${item.name || 'Unknown'} - ${item.variantLabel || 'No variant'}`, itemAmount);
+        }
+    }
+    
+    const approved = byStatus.approved ? byStatus.approved.count : 0;
+    const rejected = byStatus.rejected ? byStatus.rejected.count : 0;
+    const reviewed = approved + rejected;
+    
+    return { range, storeLabel: getStoreLabel(), totals, byStatus, byProduct, byVariant, byMethod, approved, reviewed };
+}
+
+// Function to format a sales summary for WhatsApp
+function formatSalesReport(report) {
+    const formatBreakdown = (breakdown, upperCase = false) => Object.entries(breakdown)
+        .sort((a, b) => b[1].amount - a[1].amount || b[1].count - a[1].count)
+        .map(([key, entry]) => `• ${upperCase ? key.toUpperCase() : key}: ${entry.count} • ${formatMoney(entry.amount)}`)
+        .join('\n');
+    const title = `📈 Sales Report - ${report.storeLabel ? `${report.storeLabel} - ` : ''}${report.range.label}`;
+    
+    if (report.totals.count === 0) {
+        return `${title}\n\nNo payments in this period.`;
+    }
+    
+    const approvedRevenue = report.byStatus.approved ? report.byStatus.approved.amount : 0;
+    const approvalRate = report.reviewed > 0
+        ? `${Math.round((report.approved / report.reviewed) * 100)}% (${report.approved}/${report.reviewed} reviewed)`
+        : 'N/A (none reviewed)';
+    
+    return `${title}
+
+Orders: ${report.totals.count} • Total: ${formatMoney(report.totals.amount)}
+Approved revenue: ${formatMoney(approvedRevenue)}
+Approval rate: ${approvalRate}
+
+📊 By status:
+${formatBreakdown(report.byStatus, true)}
+
+🛍️ By product:
+${formatBreakdown(report.byProduct)}
+
+🏷️ By variant:
+${formatBreakdown(report.byVariant)}
+
+💳 By payment method:
+${formatBreakdown(report.byMethod)}`;
+}
+
+// Function to handle the on-demand report command
+async function handleReportCommand(rangeText, message) {
+    const range = parseReportRange(rangeText);
+    
+    if (!range) {
+        await message.reply('⚠️ Unknown report range. Use "report today", "report yesterday", "report week", "report month", "report 2026-10-01" or "report 2026-10-01..2026-10-07".');
+        return;
+    }
+    
+    try {
+        const report = await buildSalesReport(range);
+        await message.reply(formatSalesReport(report));
+        console.log(`📈 Report sent for ${range.label}`);
+    } catch (error) {
+        console.error('❌ Error building report:', error.message);
+        await message.reply('❌ Error building report. Please try again.');
+    }
+}
+
+// Columns of a payment export, filled from the normalized payment
+const EXPORT_COLUMNS = [
+    ['Payment ID', payment => payment.id],
+    ['Short Code', payment => payment.shortCode],
+    ['Created At', payment => formatExportDate(payment.createdAt)],
+    ['Status', payment => payment.status],
+    ['Customer', payment => payment.customer.name],
+    ['Phone', payment => payment.customer.phone],
+    ['Email', payment => payment.customer.email],
+    ['Payment Method', payment => payment.paymentMethod],
+    ['Items', payment => payment.items.map(item => `${item.name || 'Unknown'}${item.variantLabel ? ` - ${item.variantLabel}` : ''} x${item.quantity}`).join('; ')],
+    ['Item Count', payment => payment.items.reduce((sum, item) => sum + item.quantity, 0)],
+    ['Items Total', payment => payment.itemsTotal],
+    ['Total', payment => payment.total],
+    ['Currency', payment => payment.currency],
+    ['Total Mismatch', payment => payment.totalMismatch ? 'yes' : 'no'],
+    ['Reviewed At', payment => formatExportDate(payment.reviewedAt)],
+    ['Approval Note', payment => payment.approvalNote],
+    ['Rejection Reason', payment => payment.rejectionReason],
+    ['Refund Reason', payment => payment.refundReason]
+];
+
+// Function to format a date for exports as "YYYY-MM-DD HH:MM" in BOT_TIMEZONE
+function formatExportDate(date) {
+    if (!date) {
+        return null;
+    }
+    const parts = getZonedParts(date);
+    return `${formatDateKey(parts)} ${String(parts.hour).padStart(2, '0')}:${String(parts.minute).padStart(2, '0')}`;
+}
+
+// Function to parse "export [RANGE] [STATUS] [csv|xlsx]" arguments
+function parseExportArgs(argsText) {
+    const words = (argsText || '').trim().split(/\s+/).filter(Boolean);
+    let format = 'csv';
+    let status = null;
+    
+    if (words.length > 0 && EXPORT_FORMATS[words[words.length - 1].toLowerCase()]) {
+        format = words.pop().toLowerCase();
+    }
+    if (words.length > 0 && PAYMENT_STATUSES.includes(words[words.length - 1].toLowerCase())) {
+        status = words.pop().toLowerCase();
+    }
+    
+    return { rangeText: words.join(' ') || 'today', status, format };
+}
+
+// Function to escape one CSV value; text starting with = + - @ is prefixed so spreadsheets don't run it
+function toCsvValue(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    let text = String(value);
+    if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Function to build a payment export for a range and optional status.
+// Resolves to { filename, mimetype, buffer, count, label }; throws on an unknown range or format.
+async function createPaymentExport(rangeText, status = null, format = 'csv') {
+    const range = parseReportRange(rangeText);
+    if (!range) {
+        throw new Error(`Unknown range "${rangeText}"`);
+    }
+    if (!EXPORT_FORMATS[format]) {
+        throw new Error(`Unknown format "${format}"`);
+    }
+    
+    const snapshot = await storeCollection('payments')
+        .where(paymentField(paymentDateField), '>=', range.start)
+        .where(paymentField(paymentDateField), '<', range.end)
+        .get();
+    
+    // Status is filtered here so the range query needs no composite index
+    const payments = snapshotToPayments(snapshot)
+        .map(normalizePayment)
+        .filter(payment => !status || payment.status === status)
+        .sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+    
+    const headers = EXPORT_COLUMNS.map(([header]) => header);
+    const rows = payments.map(payment => EXPORT_COLUMNS.map(([, getValue]) => {
+        const value = getValue(payment);
+        return value === undefined ? null : value;
+    }));
+    
+    let buffer;
+    if (format === 'xlsx') {
+        const workbook = new ExcelJS.Workbook();
+        const sheet = workbook.addWorksheet('Payments');
+        sheet.addRow(headers).font = { bold: true };
+        rows.forEach(row => sheet.addRow(row));
+        sheet.columns.forEach((column) => {
+            column.width = 18;
+        });
+        buffer = Buffer.from(await workbook.xlsx.writeBuffer());
+    } else {
+        const lines = [headers, ...rows].map(row => row.map(toCsvValue).join(','));
+        // The byte order mark makes Excel read the file as UTF-8
+        buffer = Buffer.from(`\uFEFF${lines.join('\r\n')}\r\n`, 'utf8');
+    }
+    
+    const dateKeys = [range.start, new Date(range.end.getTime() - 1)].map(date => formatDateKey(getZonedParts(date)));
+    const dateLabel = dateKeys[0] === dateKeys[1] ? dateKeys[0] : `${dateKeys[0]}_to_${dateKeys[1]}`;
+    const storePrefix = getStores().length > 1 ? `${getStore().id}_` : '';
+    
+    return {
+        filename: `payments_${storePrefix}${dateLabel}${status ? `_${status}` : ''}.${EXPORT_FORMATS[format].extension}`,
+        mimetype: EXPORT_FORMATS[format].mimetype,
+        buffer,
+        count: payments.length,
+        label: range.label
+    };
+}
+
+// Function to handle the export command and send the file back as a document
+async function handleExportCommand(argsText, message) {
+    const { rangeText, status, format } = parseExportArgs(argsText);
+    
+    if (!parseReportRange(rangeText)) {
+        await message.reply('⚠️ Unknown export range. Use "export today|yesterday|week|month", "export 2026-10-01" or "export 2026-10-01..2026-10-07", optionally followed by a status and "csv" or "xlsx".');
+        return;
+    }
+    
+    try {
+        const paymentExport = await createPaymentExport(rangeText, status, format);
+        const media = new MessageMedia(paymentExport.mimetype, paymentExport.buffer.toString('base64'), paymentExport.filename);
+        const caption = `📄 ${paymentExport.count} ${status ? `${status} ` : ''}payment${paymentExport.count === 1 ? '' : 's'} - ${paymentExport.label}`;
+        
+        await message.reply(media, undefined, { sendMediaAsDocument: true, caption });
+        console.log(`📄 Export sent: ${paymentExport.filename} (${paymentExport.count} payments)`);
+    } catch (error) {
+        console.error('❌ Error exporting payments:', error.message);
+        await message.reply('❌ Error exporting payments. Please try again.');
+    }
+}
+
+// Function to post the scheduled report once its time has come, at most once per day
+async function checkScheduledReport() {
+    const now = getZonedParts(new Date());
+    const [hour, minute] = reportTime.split(':').map(value => parseInt(value, 10));
+    
+    if (now.hour * 60 + now.minute < hour * 60 + (minute || 0)) {
+        return;
+    }
+    
+    if (reportSchedule === 'weekly' && now.weekday !== reportWeekday) {
+        return;
+    }
+    
+    const reportKey = formatDateKey(now);
+    const stateRef = storeCollection('notifierState').doc('reports');
+    const stateDoc = await stateRef.get();
+    if (stateDoc.exists && stateDoc.data().lastSentKey === reportKey) {
+        return;
+    }
+    
+    const chatIds = getRoutingConfig().reportChats;
+    if (!isWhatsAppReady || chatIds.length === 0) {
+        return; // Try again on the next tick
+    }
+    
+    const range = parseReportRange(reportRange);
+    const report = await buildSalesReport(range);
+    for (const chatId of chatIds) {
+        try {
+            await queueWhatsAppMessage(chatId, formatSalesReport(report), {}, { kind: 'report' });
+        } catch (error) {
+            console.error(`❌ Error sending scheduled report to ${chatId}:`, error.message); // Dead-lettered, see "failed"
+        }
+    }
+    await stateRef.set({ lastSentKey: reportKey, lastSentAt: admin.firestore.Timestamp.now() }, { merge: true });
+    console.log(`📈 Scheduled ${reportSchedule} report sent for ${range.label}${report.storeLabel ? ` (${report.storeLabel})` : ''}`);
+}
+
+// Function to parse a "HH:MM-HH:MM" window into minutes of the day, or null
+function parseTimeWindow(text) {
+    const windowMatch = String(text || '').trim().match(/^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/);
+    if (!windowMatch) {
+        return null;
+    }
+    
+    const [startHour, startMinute, endHour, endMinute] = windowMatch.slice(1).map(value => parseInt(value, 10));
+    return { start: startHour * 60 + startMinute, end: endHour * 60 + endMinute, label: text.trim() };
+}
+
+// Function to check whether a moment falls inside QUIET_HOURS (windows may span midnight)
+function isWithinQuietHours(date = new Date()) {
+    if (!quietHours) {
+        return false;
+    }
+    
+    const parts = getZonedParts(date);
+    const minutes = parts.hour * 60 + parts.minute;
+    
+    if (quietHours.start <= quietHours.end) {
+        return minutes >= quietHours.start && minutes < quietHours.end;
+    }
+    return minutes >= quietHours.start || minutes < quietHours.end;
+}
+
+// Function to claim a reminder or escalation for a payment that is still unreviewed.
+// Returns the payment data, or null when it was reviewed (or reminded) in the meantime.
+async function claimPaymentReminder(paymentRef, kind) {
+    return getStore().db.runTransaction(async (transaction) => {
+        const paymentDoc = await transaction.get(paymentRef);
+        if (!paymentDoc.exists) {
+            return null;
+        }
+        
+        const paymentData = readPaymentData(paymentDoc);
+        if (REVIEWED_STATUSES.includes(paymentData.status)) {
+            return null;
+        }
+        
+        const now = admin.firestore.Timestamp.now();
+        if (kind === 'escalation') {
+            if (paymentData.escalatedAt) {
+                return null;
+            }
+            transaction.update(paymentRef, { escalatedAt: now });
+        } else {
+            const lastReminderAt = paymentData.lastReminderAt;
+            if (lastReminderAt && Date.now() - lastReminderAt.toMillis() < reminderRepeatMs) {
+                return null;
+            }
+            transaction.update(paymentRef, {
+                lastReminderAt: now,
+                reminderCount: admin.firestore.FieldValue.increment(1)
+            });
+        }
+        
+        return paymentData;
+    });
+}
+
+// Function to post a reminder (to the payment's alert chats) or escalation (to ESCALATION_CHAT_ID) for a payment
+async function sendPaymentReminder(paymentDoc, kind, pendingMs) {
+    const paymentData = await claimPaymentReminder(paymentDoc.ref, kind);
+    if (!paymentData) {
+        return;
+    }
+    
+    const chatIds = kind === 'escalation' ? [escalationChatId] : resolveAlertChats(paymentData);
+    const text = renderMessage(kind === 'escalation' ? 'escalation' : 'reminder', paymentData, {
+        pendingMinutes: Math.floor(pendingMs / 60000),
+        reminderCount: (paymentData.reminderCount || 0) + (kind === 'escalation' ? 0 : 1)
+    });
+    
+    for (const chatId of chatIds) {
+        try {
+            const sentMessage = await queueWhatsAppMessage(chatId, text, {}, { kind, paymentId: paymentData.id });
+            // Replies to a reminder act on the payment just like replies to the original alert
+            await recordAlertMessage(sentMessage, paymentData, chatId);
+        } catch (error) {
+            console.error(`❌ Error sending ${kind} for payment ${paymentData.id} to ${chatId}:`, error.message);
+        }
+    }
+    console.log(`⏰ ${kind === 'escalation' ? 'Escalation' : 'Reminder'} sent for payment ${paymentData.id} (pending ${Math.floor(pendingMs / 60000)} min)`);
+}
+
+// Function to remind about (and escalate) payments that stayed unreviewed too long
+async function checkPendingReminders() {
+    if (!isWhatsAppReady || !isServerRunning || isWithinQuietHours()) {
+        return;
+    }
+    
+    const paymentsRef = storeCollection('payments');
+    const [pendingSnapshot, verificationSnapshot] = await Promise.all([
+        paymentsRef.where('status', '==', 'pending').limit(200).get(),
+        paymentsRef.where('needsManualVerification', '==', true).limit(200).get()
+    ]);
+    
+    const paymentDocs = new Map();
+    for (const paymentDoc of [...pendingSnapshot.docs, ...verificationSnapshot.docs]) {
+        if (!REVIEWED_STATUSES.includes(paymentDoc.data().status)) {
+            paymentDocs.set(paymentDoc.id, paymentDoc);
+        }
+    }
+    
+    for (const paymentDoc of paymentDocs.values()) {
+        const paymentData = readPaymentData(paymentDoc);
+        const pendingMs = Date.now() - (getPaymentTime(paymentData) || paymentDoc.createTime.toMillis());
+        
+        // Don't dig up a backlog of old payments (e.g. the first time reminders are turned on)
+        if (pendingMs > reminderMaxAgeMs) {
+            continue;
+        }
+        
+        try {
+            if (escalationChatId && escalateAfterMs > 0 && pendingMs >= escalateAfterMs && !paymentData.escalatedAt) {
+                await sendPaymentReminder(paymentDoc, 'escalation', pendingMs);
+            } else if (reminderAfterMs > 0 && pendingMs >= reminderAfterMs) {
+                const lastReminderAt = paymentData.lastReminderAt;
+                if (!lastReminderAt || Date.now() - lastReminderAt.toMillis() >= reminderRepeatMs) {
+                    await sendPaymentReminder(paymentDoc, 'reminder', pendingMs);
+                }
+            }
+        } catch (error) {
+            console.error(`❌ Error sending reminder for payment ${paymentDoc.id}:`, error.message);
+        }
+    }
+}
+
+// Function to start the pending payment reminder watcher (for reminders, escalation or both)
+function startReminderWatcher() {
+    const escalates = Boolean(escalationChatId) && escalateAfterMs > 0;
+    if (reminderAfterMs <= 0 && !escalates) {
+        return;
+    }
+    
+    console.log((reminderAfterMs > 0 ? `⏰ Reminding about payments pending over ${reminderAfterMs / 60000} min` : '⏰ Reminders off') +
+        (escalates ? `, escalating after ${escalateAfterMs / 60000} min` : '') +
+        `, up to ${reminderMaxAgeMs / 60000} min old` +
+        (quietHours ? ` (quiet hours ${quietHours.label})` : ''));
+    
+    setInterval(() => {
+        forEachStore(checkPendingReminders).catch((error) => {
+            console.error('❌ Error checking pending payments:', error.message);
+        });
+    }, 60 * 1000);
+}
+
+// Function to load the pause state saved by the pause/resume commands
+async function loadServerRunning() {
+    try {
+        const controlDoc = await storeCollection('notifierState', getPrimaryStore()).doc('control').get();
+        return !(controlDoc.exists && controlDoc.data().paused);
+    } catch (error) {
+        console.error('❌ Error loading pause state:', error.message);
+        return true;
+    }
+}
+
+// Function to pause or resume the server and persist it across restarts
+async function setServerRunning(running, sender) {
+    isServerRunning = running;
+    await storeCollection('notifierState', getPrimaryStore()).doc('control').set({
+        paused: !running,
+        changedAt: admin.firestore.Timestamp.now(),
+        changedBy: sender ? formatSender(sender) : null
+    }, { merge: true });
+}
+
+// Function to deliver the payments held while the server was paused, oldest first
+async function releaseHeldPayments() {
+    try {
+        const snapshot = await storeCollection('payments')
+            .where('notificationStatus', '==', 'held')
+            .get();
+        
+        if (snapshot.empty) {
+            return;
+        }
+        
+        console.log(`📤 Releasing ${snapshot.size} held payments...`);
+        const heldDocs = snapshot.docs.sort((a, b) => a.createTime.toMillis() - b.createTime.toMillis());
+        for (const paymentDoc of heldDocs) {
+            await deliverPaymentNotification(paymentDoc.ref);
+        }
+    } catch (error) {
+        console.error('❌ Error releasing held payments:', error.message);
+    }
+}
+
+// Function to count payments held while paused
+async function countHeldNotifications() {
+    try {
+        const snapshot = await storeCollection('payments')
+            .where('notificationStatus', '==', 'held')
+            .count()
+            .get();
+        return snapshot.data().count;
+    } catch (error) {
+        console.error('❌ Error counting held notifications:', error.message);
+        return 0;
+    }
+}
+
+// Function to send the payments collected during quiet hours as one digest per chat
+async function sendQuietHoursDigest() {
+    if (isSendingDigest || isWithinQuietHours() || !isServerRunning || !isWhatsAppReady) {
+        return;
+    }
+    
+    isSendingDigest = true;
+    try {
+        const snapshot = await storeCollection('payments')
+            .where('notificationStatus', '==', 'digest')
+            .get();
+        
+        if (snapshot.empty) {
+            return;
+        }
+        
+        const payments = snapshot.docs
+            .sort((a, b) => a.createTime.toMillis() - b.createTime.toMillis())
+            .map(readPaymentData);
+        
+        // Retry the channel alerts that failed when the payment arrived (channels already notified are skipped)
+        const channelsSent = new Map();
+        for (const paymentData of payments) {
+            channelsSent.set(paymentData.id, await sendToChannels('new_payment', paymentData));
+        }
+        
+        // Each chat gets the payments its routing rules would have alerted it about
+        const paymentsByChat = new Map();
+        for (const paymentData of payments) {
+            for (const chatId of resolveAlertChats(paymentData)) {
+                if (!paymentsByChat.has(chatId)) {
+                    paymentsByChat.set(chatId, []);
+                }
+                paymentsByChat.get(chatId).push(paymentData);
+            }
+        }
+        
+        const deliveredChats = new Set();
+        for (const [chatId, chatPayments] of paymentsByChat) {
+            const lines = chatPayments.slice(0, maxDigestItems)
+                .map((paymentData, i) => renderMessage('listItem', paymentData, { index: i + 1 }));
+            const more = chatPayments.length > maxDigestItems ? `\n…and ${chatPayments.length - maxDigestItems} more` : '';
+            const text = `🌙 ${chatPayments.length} payment${chatPayments.length === 1 ? '' : 's'} received during quiet hours (${quietHours.label}):\n\n${lines.join('\n')}${more}\n\nSend "pending" to review them.`;
+            
+            try {
+                await queueWhatsAppMessage(chatId, text, {}, { kind: 'digest' });
+                deliveredChats.add(chatId);
+            } catch (error) {
+                console.error(`❌ Error sending quiet-hours digest to ${chatId}:`, error.message); // Dead-lettered, see "failed"
+            }
+        }
+        
+        // Payments that missed a chat or channel are left to replayPendingNotifications(), which
+        // alerts only the chats not yet in `notifiedChats`
+        const batch = getStore().db.batch();
+        let missed = 0;
+        for (const paymentData of payments) {
+            const alertChats = resolveAlertChats(paymentData);
+            const paymentChats = alertChats.filter(chatId => deliveredChats.has(chatId));
+            const update = paymentChats.length === alertChats.length && channelsSent.get(paymentData.id)
+                ? { notificationStatus: 'sent', notifiedAt: admin.firestore.Timestamp.now(), notifiedInDigest: true }
+                : {
+                    notificationStatus: 'failed',
+                    notificationAttempts: admin.firestore.FieldValue.increment(1),
+                    notificationFailedAt: admin.firestore.Timestamp.now()
+                };
+            
+            if (update.notificationStatus === 'failed') {
+                missed++;
+            }
+            if (paymentChats.length > 0) {
+                update.notifiedChats = admin.firestore.FieldValue.arrayUnion(...paymentChats);
+            }
+            batch.update(storeCollection('payments').doc(paymentData.id), update);
+        }
+        await batch.commit();
+        console.log(`🌙 Quiet-hours digest sent with ${payments.length} payments` +
+            (missed > 0 ? ` (${missed} left for retry)` : ''));
+    } catch (error) {
+        console.error('❌ Error sending quiet-hours digest:', error.message);
+    } finally {
+        isSendingDigest = false;
+    }
+}
+
+// Function to start the quiet-hours digest watcher
+function startDigestWatcher() {
+    if (!quietHoursDigest) {
+        return;
+    }
+    
+    if (!quietHours) {
+        console.log('⚠️ QUIET_HOURS_DIGEST is on but QUIET_HOURS is not set. Digest mode disabled.');
+        return;
+    }
+    
+    console.log(`🌙 Payments during quiet hours (${quietHours.label}) are sent as one digest`);
+    setInterval(() => forEachStore(sendQuietHoursDigest), 60 * 1000);
+}
+
+// Function to start the report scheduler
+function startReportScheduler() {
+    if (reportSchedule !== 'daily' && reportSchedule !== 'weekly') {
+        return;
+    }
+    
+    if (!/^\d{1,2}:\d{2}$/.test(reportTime) || !parseReportRange(reportRange) ||
+        (reportSchedule === 'weekly' && !WEEKDAYS.includes(reportWeekday))) {
+        console.error('❌ Invalid REPORT_TIME, REPORT_RANGE or REPORT_WEEKDAY. Scheduled reports are disabled.');
+        return;
+    }
+    
+    console.log(`📈 Scheduled ${reportSchedule} reports at ${reportTime} (${botTimeZone})`);
+    setInterval(() => {
+        forEachStore(checkScheduledReport).catch((error) => {
+            console.error('❌ Error sending scheduled report:', error.message);
+        });
+    }, 60 * 1000);
+}
+
+// Function to check payment status
+async function handleStatusCheck(paymentId, message) {
+    try {
+        console.log(`🔍 Checking status for payment ID: ${paymentId}`);
+        
+        const paymentDoc = await storeCollection('payments').doc(paymentId).get();
+        
+        if (!paymentDoc.exists) {
+            await message.reply(`❌ Payment ID "${paymentId}" not found in database.`);
+            return;
+        }
+        
+        const paymentData = readPaymentData(paymentDoc);
+        const statusMessage = renderMessage('status', paymentData);
+        
+        await message.reply(statusMessage);
+        console.log(`✅ Status check completed for payment: ${paymentId}`);
+        
+    } catch (error) {
+        console.error('❌ Error checking payment status:', error.message);
+        await message.reply('❌ Error checking payment status. Please try again.');
+    }
+}
+
+// Function to check permissions and reason syntax before changing a payment's status
+async function handleTransitionCommand(paymentReference, targetStatus, reason, message) {
+    const actions = {
+        approved: { role: 'approver', action: 'approve payments' },
+        rejected: { role: 'approver', action: 'reject payments' },
+        refunded: { role: 'admin', action: 'refund payments' }
+    };
+    
+    const sender = await authorizeSender(message, actions[targetStatus].role, actions[targetStatus].action);
+    if (!sender) {
+        return;
+    }
+    
+    const paymentId = await resolvePaymentId(paymentReference, message);
+    if (!paymentId) {
+        return;
+    }
+    
+    if (REASON_REQUIRED_STATUSES.includes(targetStatus) && !reason) {
+        await message.reply(`⚠️ A reason is required. Send "${paymentReference} + ${targetStatus}: [REASON]"\nExample: ${paymentReference} + ${targetStatus}: wrong amount`);
+        return;
+    }
+    
+    switch (targetStatus) {
+        case 'approved':
+            await handlePaymentApproval(paymentId, message, sender, reason);
+            break;
+        case 'rejected':
+            await handlePaymentRejection(paymentId, message, sender, reason);
+            break;
+        case 'refunded':
+            await handlePaymentRefund(paymentId, message, sender, reason);
+            break;
+    }
+}
+
+// Function to check permissions before undoing a payment's last status change
+async function handleUndoCommand(paymentReference, message) {
+    const sender = await authorizeSender(message, 'approver', 'undo payment changes');
+    if (!sender) {
+        return;
+    }
+    
+    const paymentId = await resolvePaymentId(paymentReference, message);
+    if (paymentId) {
+        await handlePaymentUndo(paymentId, message, sender);
+    }
+}
+
+// Function to handle a reply to a payment alert, resolving the payment from the quoted message.
+// Returns false when the text is not an alert reply command or the quoted message is not an alert.
+async function handleAlertReply(originalMessage, message) {
+    const reply = parseAlertReply(originalMessage);
+    if (!reply) {
+        return false;
+    }
+    
+    const quotedMessage = await message.getQuotedMsg();
+    const paymentId = quotedMessage ? await findPaymentIdForAlert(quotedMessage.id._serialized) : null;
+    if (!paymentId) {
+        return false;
+    }
+    
+    if (reply.name === 'status') {
+        if (await authorizeSender(message, 'viewer', 'check payment status')) {
+            await handleStatusCheck(paymentId, message);
+        }
+    } else if (reply.name === 'undo') {
+        await handleUndoCommand(paymentId, message);
+    } else {
+        await handleTransitionCommand(paymentId, reply.status, reply.reason, message);
+    }
+    
+    return true;
+}
+
+// Function to turn a command's payment reference (document ID or "#A7K2" short code) into a document ID,
+// replying when a short code cannot be resolved
+async function resolvePaymentId(reference, message) {
+    if (!reference.startsWith('#')) {
+        return reference;
+    }
+    
+    const code = reference.slice(1).toUpperCase();
+    const snapshot = await storeCollection('payments').where('shortCode', '==', code).limit(2).get();
+    
+    if (snapshot.size === 1) {
+        return snapshot.docs[0].id;
+    }
+    
+    await message.reply(snapshot.empty
+        ? `❌ Payment code "#${code}" not found in database.`
+        : `⚠️ Payment code "#${code}" matches several payments. Please use the full payment ID.`);
+    return null;
+}
+
+// Function to derive a short code candidate from a payment ID
+function generateShortCode(paymentId, attempt) {
+    const hash = crypto.createHash('sha256').update(`${paymentId}:${attempt}`).digest();
+    let code = '';
+    for (let i = 0; i < SHORT_CODE_LENGTH; i++) {
+        code += SHORT_CODE_ALPHABET[hash[i] % SHORT_CODE_ALPHABET.length];
+    }
+    return code;
+}
+
+// Function to get (or assign and store) the short code of a payment
+async function ensurePaymentShortCode(paymentData) {
+    if (paymentData.shortCode) {
+        return paymentData.shortCode;
+    }
+    
+    for (let attempt = 0; attempt < 10; attempt++) {
+        const code = generateShortCode(paymentData.id, attempt);
+        const existing = await storeCollection('payments').where('shortCode', '==', code).limit(1).get();
+        if (existing.empty) {
+            await storeCollection('payments').doc(paymentData.id).update({ shortCode: code });
+            return code;
+        }
+    }
+    
+    throw new Error(`Could not find a free short code for payment ${paymentData.id}`);
+}
+
+// Function to remember which payment a sent alert belongs to, so replies to it can act on the payment
+async function recordAlertMessage(sentMessage, paymentData, chatId) {
+    const messageId = sentMessage && sentMessage.id && sentMessage.id._serialized;
+    if (!messageId) {
+        return;
+    }
+    
+    try {
+        await storeCollection('alertMessages').doc(messageId).set({
+            paymentId: paymentData.id,
+            chatId,
+            sentAt: admin.firestore.Timestamp.now()
+        });
+        await storeCollection('payments').doc(paymentData.id).update({
+            alertMessageIds: admin.firestore.FieldValue.arrayUnion(messageId)
+        });
+    } catch (error) {
+        console.error(`❌ Error recording alert message for payment ${paymentData.id}:`, error.message);
+    }
+}
+
+// Function to look up the payment behind an alert message ID
+async function findPaymentIdForAlert(messageId) {
+    const alertDoc = await storeCollection('alertMessages').doc(messageId).get();
+    return alertDoc.exists ? alertDoc.data().paymentId : null;
+}
+
+// Function to change a payment's status inside a transaction, following PAYMENT_TRANSITIONS
+// and appending an entry to the payment's `history` subcollection.
+// Resolves to { outcome: 'changed' | 'unchanged' | 'invalid' | 'not_found', fromStatus, paymentData }
+async function transitionPayment(paymentId, targetStatus, sender, reason) {
+    const paymentRef = storeCollection('payments').doc(paymentId);
+    
+    return getStore().db.runTransaction(async (transaction) => {
+        const paymentDoc = await transaction.get(paymentRef);
+        
+        if (!paymentDoc.exists) {
+            return { outcome: 'not_found' };
+        }
+        
+        const paymentData = readPaymentData(paymentDoc);
+        const fromStatus = paymentData.status || 'pending';
+        
+        if (fromStatus === targetStatus) {
+            return { outcome: 'unchanged', fromStatus, paymentData };
+        }
+        
+        if (!(PAYMENT_TRANSITIONS[fromStatus] || []).includes(targetStatus)) {
+            return { outcome: 'invalid', fromStatus, paymentData };
+        }
+        
+        const now = admin.firestore.Timestamp.now();
+        const historyRef = paymentRef.collection('history').doc();
+        const actor = {
+            number: sender ? sender.number : null,
+            name: sender ? sender.name : null
+        };
+        
+        const update = {
+            status: targetStatus,
+            needsManualVerification: false,
+            reviewedAt: now,
+            [`${targetStatus}At`]: now,
+            [`${targetStatus}By`]: formatSender(sender),
+            [`${targetStatus}ByNumber`]: actor.number,
+            [`${targetStatus}ByName`]: actor.name,
+            [TRANSITION_REASON_FIELDS[targetStatus]]: reason || null,
+            // Everything needed to undo this change
+            lastTransition: {
+                from: fromStatus,
+                to: targetStatus,
+                at: now,
+                byNumber: actor.number,
+                byName: actor.name,
+                historyId: historyRef.id,
+                previousNeedsManualVerification: paymentData.needsManualVerification || false,
+                previousReviewedAt: paymentData.reviewedAt || null,
+                undone: false
+            }
+        };
+        
+        transaction.update(paymentRef, update);
+        transaction.create(historyRef, {
+            action: 'transition',
+            from: fromStatus,
+            to: targetStatus,
+            reason: reason || null,
+            actor,
+            at: now
+        });
+        
+        return { outcome: 'changed', fromStatus, paymentData: { ...paymentData, ...update } };
+    });
+}
+
+// Function to revert a payment's last status change inside a transaction
+// Resolves to { outcome: 'undone' | 'nothing' | 'expired' | 'forbidden' | 'not_found', transition, paymentData }
+async function undoPaymentTransition(paymentId, sender) {
+    const paymentRef = storeCollection('payments').doc(paymentId);
+    
+    return getStore().db.runTransaction(async (transaction) => {
+        const paymentDoc = await transaction.get(paymentRef);
+        
+        if (!paymentDoc.exists) {
+            return { outcome: 'not_found' };
+        }
+        
+        const paymentData = readPaymentData(paymentDoc);
+        const transition = paymentData.lastTransition;
+        
+        if (!transition || transition.undone || paymentData.status !== transition.to) {
+            return { outcome: 'nothing', paymentData };
+        }
+        
+        if (Date.now() - transition.at.toMillis() > undoWindowMs) {
+            return { outcome: 'expired', transition, paymentData };
+        }
+        
+        // Only the person who made the change (or an admin) may undo it
+        if (sender && sender.role !== 'admin' && transition.byNumber && transition.byNumber !== sender.number) {
+            return { outcome: 'forbidden', transition, paymentData };
+        }
+        
+        const now = admin.firestore.Timestamp.now();
+        const deleteField = admin.firestore.FieldValue.delete();
+        const targetStatus = transition.to;
+        
+        // Stock codes the customer hasn't received go back to the pool; delivered ones stay with the payment
+        let releasedCodes = 0;
+        const keptDeliveredCodes = targetStatus === 'approved' && paymentData.fulfillmentStatus === 'delivered';
+        if (targetStatus === 'approved' && !keptDeliveredCodes) {
+            releasedCodes = await releaseStockCodes(transaction, paymentId);
+        }
+        
+        const update = {
+            status: transition.from,
+            needsManualVerification: transition.previousNeedsManualVerification || false,
+            reviewedAt: transition.previousReviewedAt || deleteField,
+            [`${targetStatus}At`]: deleteField,
+            [`${targetStatus}By`]: deleteField,
+            [`${targetStatus}ByNumber`]: deleteField,
+            [`${targetStatus}ByName`]: deleteField,
+            [TRANSITION_REASON_FIELDS[targetStatus]]: deleteField,
+            'lastTransition.undone': true,
+            'lastTransition.undoneAt': now,
+            'lastTransition.undoneBy': formatSender(sender)
+        };
+        if (targetStatus === 'approved' && !keptDeliveredCodes && paymentData.fulfillmentStatus) {
+            update.fulfillmentStatus = deleteField;
+            update.fulfillment = deleteField;
+        }
+        
+        transaction.update(paymentRef, update);
+        transaction.create(paymentRef.collection('history').doc(), {
+            action: 'undo',
+            from: transition.to,
+            to: transition.from,
+            reason: null,
+            undoes: transition.historyId || null,
+            actor: {
+                number: sender ? sender.number : null,
+                name: sender ? sender.name : null
+            },
+            at: now
+        });
+        
+        return { outcome: 'undone', transition, releasedCodes, keptDeliveredCodes, paymentData: { ...paymentData, status: transition.from } };
+    });
+}
+
+// Function to reply to a transition that did not go through
+async function replyTransitionNotApplied(result, paymentId, targetStatus, message) {
+    if (result.outcome === 'not_found') {
+        await message.reply(`❌ Payment ID "${paymentId}" not found in database.`);
+    } else if (result.outcome === 'unchanged') {
+        await message.reply(`ℹ️ Payment "${paymentId}" is already ${targetStatus}.`);
+    } else if (result.outcome === 'invalid') {
+        const allowed = PAYMENT_TRANSITIONS[result.fromStatus] || [];
+        await message.reply(`⚠️ Payment "${paymentId}" is ${result.fromStatus.toUpperCase()} and cannot be changed to ${targetStatus.toUpperCase()}.` +
+            (allowed.length > 0 ? `\nAllowed: ${allowed.join(', ')}` : ''));
+    }
+}
+
+// Payment command handlers reply through `message.reply()` and resolve to the transition
+// result (see transitionPayment), or null when an error occurred. Any object with a
+// `reply(text)` method works as `message`, which lets the HTTP API reuse them.
+
+// Function to handle payment approval
+async function handlePaymentApproval(paymentId, message, sender, note = null) {
+    try {
+        console.log(`✅ Processing approval for payment ID: ${paymentId}`);
+        
+        const result = await transitionPayment(paymentId, 'approved', sender, note);
+        if (result.outcome !== 'changed') {
+            await replyTransitionNotApplied(result, paymentId, 'approved', message);
+            return result;
+        }
+        
+        const approvalMessage = renderMessage('approved', result.paymentData, {
+            approvedAt: new Date(),
+            approvedBy: formatSender(sender),
+            previousStatus: result.fromStatus
+        });
+        
+        await message.reply(approvalMessage);
+        console.log(`✅ Payment ${paymentId} approved successfully by ${formatSender(sender)}`);
+        
+        announcePaymentChange('approved', result.paymentData, approvalMessage, message).catch((error) => {
+            console.error('❌ Error announcing approval:', error.message);
+        });
+        
+        await notifyCustomerAndReport(result.paymentData, 'approved', message);
+        
+        if (autoAssignCodes) {
+            await fulfillFromStock(result.paymentData, message, sender);
+        }
+        return result;
+        
+    } catch (error) {
+        console.error('❌ Error approving payment:', error.message);
+        await message.reply('❌ Error approving payment. Please try again.');
+        return null;
+    }
+}
+
+// Function to handle payment rejection
+async function handlePaymentRejection(paymentId, message, sender, reason) {
+    try {
+        console.log(`❌ Processing rejection for payment ID: ${paymentId}`);
+        
+        const result = await transitionPayment(paymentId, 'rejected', sender, reason);
+        if (result.outcome !== 'changed') {
+            await replyTransitionNotApplied(result, paymentId, 'rejected', message);
+            return result;
+        }
+        
+        const rejectionMessage = renderMessage('rejected', result.paymentData, {
+            rejectedAt: new Date(),
+            rejectedBy: formatSender(sender),
+            previousStatus: result.fromStatus
+        });
+        
+        await message.reply(rejectionMessage);
+        console.log(`❌ Payment ${paymentId} rejected successfully by ${formatSender(sender)}: ${reason}`);
+        
+        announcePaymentChange('rejected', result.paymentData, rejectionMessage, message).catch((error) => {
+            console.error('❌ Error announcing rejection:', error.message);
+        });
+        
+        await notifyCustomerAndReport(result.paymentData, 'rejected', message);
+        return result;
+        
+    } catch (error) {
+        console.error('❌ Error rejecting payment:', error.message);
+        await message.reply('❌ Error rejecting payment. Please try again.');
+        return null;
+    }
+}
+
+// Function to handle payment refund
+async function handlePaymentRefund(paymentId, message, sender, reason) {
+    try {
+        console.log(`↩️ Processing refund for payment ID: ${paymentId}`);
+        
+        const result = await transitionPayment(paymentId, 'refunded', sender, reason);
+        if (result.outcome !== 'changed') {
+            await replyTransitionNotApplied(result, paymentId, 'refunded', message);
+            return result;
+        }
+        
+        const refundMessage = renderMessage('refunded', result.paymentData, {
+            refundedAt: new Date(),
+            refundedBy: formatSender(sender),
+            previousStatus: result.fromStatus
+        });
+        
+        await message.reply(refundMessage);
+        console.log(`↩️ Payment ${paymentId} refunded by ${formatSender(sender)}: ${reason}`);
+        return result;
+        
+    } catch (error) {
+        console.error('❌ Error refunding payment:', error.message);
+        await message.reply('❌ Error refunding payment. Please try again.');
+        return null;
+    }
+}
+
+// Function to handle undo of the last payment status change
+async function handlePaymentUndo(paymentId, message, sender) {
+    try {
+        console.log(`↩️ Processing undo for payment ID: ${paymentId}`);
+        
+        const result = await undoPaymentTransition(paymentId, sender);
+        
+        switch (result.outcome) {
+            case 'not_found':
+                await message.reply(`❌ Payment ID "${paymentId}" not found in database.`);
+                return;
+            case 'nothing':
+                await message.reply(`ℹ️ Payment "${paymentId}" has no status change to undo.`);
+                return;
+            case 'expired':
+                await message.reply(`⚠️ The last change to "${paymentId}" is older than ${undoWindowMs / 60000} minutes and can no longer be undone.`);
+                return;
+            case 'forbidden':
+                await message.reply(`⛔ Only ${result.transition.byName || `+${result.transition.byNumber}`} or an admin can undo this change.`);
+                return;
+        }
+        
+        const undoMessage = renderMessage('undone', result.paymentData, {
+            undoneAt: new Date(),
+            undoneBy: formatSender(sender),
+            previousStatus: result.transition.to
+        });
+        
+        const stockNote = result.releasedCodes > 0
+            ? `\n\n📦 ${result.releasedCodes} assigned stock code${result.releasedCodes === 1 ? '' : 's'} went back to stock.`
+            : result.keptDeliveredCodes ? '\n\n⚠️ The customer already received the codes for this payment.' : '';
+        await message.reply(undoMessage + stockNote);
+        console.log(`↩️ Payment ${paymentId} reverted from ${result.transition.to} to ${result.transition.from} by ${formatSender(sender)}`);
+        
+    } catch (error) {
+        console.error('❌ Error undoing payment change:', error.message);
+        await message.reply('❌ Error undoing payment change. Please try again.');
+    }
+}
+
+// Function to convert a customer's phone number into a WhatsApp chat ID ("9779800000000@c.us")
+// Numbers written with "+" or "00" are taken as international; shorter local numbers
+// (leading trunk zeros removed) get DEFAULT_COUNTRY_CODE prepended.
+function toCustomerChatId(phone) {
+    const raw = String(phone || '').trim();
+    let digits = raw.replace(/\D/g, '');
+    
+    if (!digits) {
+        return null;
+    }
+    
+    if (raw.startsWith('+')) {
+        return `${digits}@c.us`;
+    }
+    
+    if (digits.startsWith('00')) {
+        return `${digits.slice(2)}@c.us`;
+    }
+    
+    digits = digits.replace(/^0+/, '');
+    if (digits.length <= 10) {
+        digits = `${defaultCountryCode}${digits}`;
+    }
+    
+    return `${digits}@c.us`;
+}
+
+// Function to send a message to the payment's `phone` on WhatsApp.
+// Never throws: resolves to { status: 'sent' | 'failed', to, error }
+async function sendToCustomer(paymentData, text) {
+    const chatId = toCustomerChatId(paymentData.phone);
+    
+    if (!chatId) {
+        return { status: 'failed', to: null, error: 'No phone number on the payment' };
+    }
+    if (!isWhatsAppReady) {
+        return { status: 'failed', to: chatId, error: 'WhatsApp client not ready' };
+    }
+    
+    try {
+        const numberId = await client.getNumberId(chatId.replace('@c.us', ''));
+        if (!numberId) {
+            return { status: 'failed', to: chatId, error: 'Number is not on WhatsApp' };
+        }
+        
+        await queueWhatsAppMessage(numberId._serialized, text, {}, { kind: 'customer', paymentId: paymentData.id });
+        return { status: 'sent', to: numberId._serialized, error: null };
+    } catch (error) {
+        return { status: 'failed', to: chatId, error: error.message };
+    }
+}
+
+// Function to message the customer about an approved or rejected payment
+// and record the outcome in `customerNotification` on the payment.
+// Never throws: resolves to { status: 'sent' | 'failed' | 'skipped', to, error }
+async function notifyCustomer(paymentData, event) {
+    let result;
+    
+    if (!customerNotificationsEnabled) {
+        return { status: 'skipped', to: null, error: 'Customer notifications are disabled' };
+    }
+    
+    if (paymentData.notifyCustomer === false) {
+        result = { status: 'skipped', to: toCustomerChatId(paymentData.phone), error: 'Customer opted out' };
+    } else {
+        const templateName = event === 'approved' ? 'customerApproved' : 'customerRejected';
+        result = await sendToCustomer(paymentData, renderMessage(templateName, paymentData));
+        if (result.status === 'sent') {
+            console.log(`📨 Customer notified about ${event} payment ${paymentData.id} at ${result.to}`);
+        }
+    }
+    
+    if (result.status === 'failed') {
+        console.error(`❌ Could not notify customer for payment ${paymentData.id}:`, result.error);
+    }
+    
+    try {
+        await storeCollection('payments').doc(paymentData.id).update({
+            customerNotification: {
+                event,
+                status: result.status,
+                to: result.to,
+                error: result.error,
+                at: admin.firestore.Timestamp.now()
+            }
+        });
+    } catch (error) {
+        console.error('❌ Error recording customer notification:', error.message);
+    }
+    
+    return result;
+}
+
+// Function to notify the customer after an admin action, telling the admin only when it failed
+async function notifyCustomerAndReport(paymentData, event, message) {
+    const result = await notifyCustomer(paymentData, event);
+    
+    if (result.status === 'failed') {
+        try {
+            await message.reply(`⚠️ Payment ${paymentData.id} was ${event}, but the customer could not be notified: ${result.error}`);
+        } catch (error) {
+            console.error('❌ Error reporting customer notification failure:', error.message);
+        }
+    }
+}
+
+// Function to handle "[PAYMENT_ID] + delivered <code or text>" for an approved payment
+async function handleDeliveredCommand(paymentIdInput, deliveryText, message) {
+    const sender = await authorizeSender(message, 'approver', 'deliver orders');
+    if (!sender) {
+        return;
+    }
+    
+    try {
+        const paymentId = await resolvePaymentId(paymentIdInput, message);
+        if (!paymentId) {
+            return;
+        }
+        
+        const paymentDoc = await storeCollection('payments').doc(paymentId).get();
+        if (!paymentDoc.exists) {
+            await message.reply(`❌ Payment ID ${paymentId} not found in database.`);
+            return;
+        }
+        
+        const paymentData = readPaymentData(paymentDoc);
+        if (paymentData.status !== 'approved') {
+            await message.reply(`⚠️ Payment ${paymentId} is ${(paymentData.status || 'unknown').toUpperCase()}. Only approved payments can be delivered.`);
+            return;
+        }
+        
+        // The code sent by hand replaces stock codes the customer never received
+        if (paymentData.fulfillmentStatus !== 'delivered') {
+            await getStore().db.runTransaction(transaction => releaseStockCodes(transaction, paymentId));
+        }
+        
+        const deliveredItems = [{ name: null, variantLabel: null, code: deliveryText }];
+        const result = await deliverFulfillment(paymentData, deliveredItems, 'manual', sender);
+        await replyFulfillmentResult(paymentData, result, message, deliveredItems);
+    } catch (error) {
+        console.error('❌ Error delivering order:', error.message);
+        await message.reply('❌ Error delivering order. Please try again.');
+    }
+}
+
+// Function to handle "[PAYMENT_ID] + redeliver": send the codes recorded on the payment again
+// (after a failed delivery, or when the customer lost them)
+async function handleRedeliverCommand(paymentIdInput, message) {
+    const sender = await authorizeSender(message, 'approver', 'deliver orders');
+    if (!sender) {
+        return;
+    }
+    
+    try {
+        const paymentId = await resolvePaymentId(paymentIdInput, message);
+        if (!paymentId) {
+            return;
+        }
+        
+        const paymentDoc = await storeCollection('payments').doc(paymentId).get();
+        if (!paymentDoc.exists) {
+            await message.reply(`❌ Payment ID ${paymentId} not found in database.`);
+            return;
+        }
+        
+        const paymentData = readPaymentData(paymentDoc);
+        const fulfillment = paymentData.fulfillment;
+        if (paymentData.status !== 'approved' || !fulfillment || !(fulfillment.items || []).length) {
+            await message.reply(`⚠️ Payment ${paymentId} has no codes to send again. Send "${paymentId} + delivered [CODE]" to deliver it.`);
+            return;
+        }
+        
+        const result = await deliverFulfillment(paymentData, fulfillment.items, fulfillment.method, sender);
+        await replyFulfillmentResult(paymentData, result, message, fulfillment.items);
+    } catch (error) {
+        console.error('❌ Error redelivering order:', error.message);
+        await message.reply('❌ Error delivering order. Please try again.');
+    }
+}
+
+// Function to send delivered codes to the customer and record the fulfillment on the payment
+async function deliverFulfillment(paymentData, deliveredItems, method, sender) {
+    const result = await sendToCustomer(paymentData, renderMessage('customerDelivered', paymentData, { deliveredItems }));
+    const update = {
+        fulfillmentStatus: result.status === 'sent' ? 'delivered' : 'failed',
+        fulfillment: {
+            method,
+            items: deliveredItems,
+            to: result.to,
+            error: result.error,
+            by: formatSender(sender),
+            at: admin.firestore.Timestamp.now()
+        }
+    };
+    if (result.status === 'sent') {
+        update.deliveredAt = admin.firestore.Timestamp.now();
+        console.log(`🎁 Payment ${paymentData.id} delivered to ${result.to} (${method})`);
+    } else {
+        console.error(`❌ Could not deliver payment ${paymentData.id}:`, result.error);
+    }
+    
+    await storeCollection('payments').doc(paymentData.id).update(update);
+    return result;
+}
+
+// Function to tell the admin how a delivery went. A failure lists the stock codes held for the
+// payment, so a retry can send the same codes instead of taking new ones.
+async function replyFulfillmentResult(paymentData, result, message, deliveredItems) {
+    const paymentId = paymentData.id;
+    if (result.status === 'sent') {
+        await message.reply(`🎁 Payment ${paymentId} delivered to ${result.to}.`);
+        return;
+    }
+    
+    const stockCodes = deliveredItems
+        .filter(item => item.stockCodeId)
+        .map(item => `• ${item.name}${item.variantLabel ? ` - ${item.variantLabel}` : ''}: ${item.code}`);
+    const retryHint = stockCodes.length > 0
+        ? `\n\nCodes assigned from stock:\n${stockCodes.join('\n')}\n\nSend "${paymentId} + redeliver" to send these codes again, or "${paymentId} + delivered [CODE]" to send something else (the codes go back to stock).`
+        : `\nSend "${paymentId} + redeliver" to try again.`;
+    await message.reply(`⚠️ Payment ${paymentId} could not be delivered: ${result.error}${retryHint}`);
+}
+
+// Function to find the stock pools (product/variant) that cover a payment's items
+async function findStockedItems(paymentData) {
+    const stockedItems = [];
+    for (const item of normalizePayment(paymentData).items) {
+        const poolSnapshot = await storeCollection('codeStock')
+            .where('product', '==', item.name)
+            .where('variant', '==', item.variantLabel || null)
+            .limit(1)
+            .get();
+        if (!poolSnapshot.empty) {
+            stockedItems.push(item);
+        }
+    }
+    return stockedItems;
+}
+
+// Function to assign available codes to every stocked item of a payment in one transaction, which
+// also records them on the payment (`fulfillmentStatus: 'assigned'`) so no code is ever held without
+// a payment pointing to it. Returns the items to deliver, or null (assigning nothing) when a variant is out of stock.
+async function assignStockCodes(paymentData, stockedItems) {
+    // Lines of the same product and variant share one query, so no code is picked twice
+    const itemGroups = new Map();
+    for (const item of stockedItems) {
+        const key = `${item.name}|${item.variantLabel || ''}`;
+        if (!itemGroups.has(key)) {
+            itemGroups.set(key, []);
+        }
+        itemGroups.get(key).push(item);
+    }
+    
+    return getStore().db.runTransaction(async (transaction) => {
+        const picks = [];
+        for (const items of itemGroups.values()) {
+            const quantity = items.reduce((sum, item) => sum + item.quantity, 0);
+            const snapshot = await transaction.get(storeCollection('codeStock')
+                .where('product', '==', items[0].name)
+                .where('variant', '==', items[0].variantLabel || null)
+                .where('status', '==', 'available')
+                .limit(quantity));
+            if (snapshot.size < quantity) {
+                return null;
+            }
+            
+            const codeDocs = [...snapshot.docs];
+            for (const item of items) {
+                codeDocs.splice(0, item.quantity).forEach(codeDoc => picks.push({ item, codeDoc }));
+            }
+        }
+        
+        const now = admin.firestore.Timestamp.now();
+        for (const { codeDoc } of picks) {
+            transaction.update(codeDoc.ref, {
+                status: 'assigned',
+                paymentId: paymentData.id,
+                assignedAt: now
+            });
+        }
+        
+        const assignedItems = picks.map(({ item, codeDoc }) => ({
+            name: item.name,
+            variantLabel: item.variantLabel || null,
+            code: codeDoc.data().code,
+            stockCodeId: codeDoc.id
+        }));
+        transaction.update(storeCollection('payments').doc(paymentData.id), {
+            fulfillmentStatus: 'assigned',
+            fulfillment: { method: 'stock', items: assignedItems, at: now }
+        });
+        return assignedItems;
+    });
+}
+
+// Function to put the stock codes assigned to a payment back in the pool, inside `transaction`
+// (before its writes). Returns how many codes were released.
+async function releaseStockCodes(transaction, paymentId) {
+    const snapshot = await transaction.get(storeCollection('codeStock')
+        .where('paymentId', '==', paymentId)
+        .where('status', '==', 'assigned'));
+    
+    const deleteField = admin.firestore.FieldValue.delete();
+    for (const codeDoc of snapshot.docs) {
+        transaction.update(codeDoc.ref, { status: 'available', paymentId: deleteField, assignedAt: deleteField });
+    }
+    if (snapshot.size > 0) {
+        console.log(`📦 ${snapshot.size} stock codes of payment ${paymentId} returned to stock`);
+    }
+    return snapshot.size;
+}
+
+// Function to deliver codes from the stock pool after an approval and warn when stock runs low
+async function fulfillFromStock(paymentData, message, sender) {
+    try {
+        if (paymentData.fulfillmentStatus === 'delivered') {
+            return;
+        }
+        
+        const stockedItems = await findStockedItems(paymentData);
+        if (stockedItems.length === 0) {
+            return; // Not a digital product
+        }
+        
+        const deliveredItems = await assignStockCodes(paymentData, stockedItems);
+        if (!deliveredItems) {
+            await storeCollection('payments').doc(paymentData.id).update({ fulfillmentStatus: 'out_of_stock' });
+            await message.reply(`⚠️ Not enough codes in stock for payment ${paymentData.id}. Send "${paymentData.id} + delivered [CODE]" to deliver it by hand.`);
+        } else {
+            const result = await deliverFulfillment(paymentData, deliveredItems, 'stock', sender);
+            await replyFulfillmentResult(paymentData, result, message, deliveredItems);
+        }
+        
+        await warnLowCodeStock(paymentData, stockedItems);
+    } catch (error) {
+        console.error(`❌ Error fulfilling payment ${paymentData.id} from stock:`, error.message);
+        // Codes already assigned are recorded on the payment, so they can be sent again
+        await message.reply(`❌ Error delivering codes for payment ${paymentData.id}. Send "${paymentData.id} + redeliver" to try again, or "${paymentData.id} + delivered [CODE]" to deliver it by hand.`);
+    }
+}
+
+// Function to warn the alert chats about variants with CODE_STOCK_LOW_THRESHOLD codes or fewer left
+async function warnLowCodeStock(paymentData, stockedItems) {
+    const seen = new Set();
+    const lowStock = [];
+    
+    for (const item of stockedItems) {
+        const key = `${item.name}|${item.variantLabel || ''}`;
+        if (seen.has(key)) {
+            continue;
+        }
+        seen.add(key);
+        
+        const countSnapshot = await storeCollection('codeStock')
+            .where('product', '==', item.name)
+            .where('variant', '==', item.variantLabel || null)
+            .where('status', '==', 'available')
+            .count()
+            .get();
+        const remaining = countSnapshot.data().count;
+        if (remaining <= codeStockLowThreshold) {
+            lowStock.push(`• ${item.name}${item.variantLabel ? ` - ${item.variantLabel}` : ''}: ${remaining} left`);
+        }
+    }
+    
+    if (lowStock.length === 0) {
+        return;
+    }
+    
+    const text = `📦 Low code stock:\n${lowStock.join('\n')}\n\nAdd codes to the "${getStore().collections.codeStock}" collection.`;
+    for (const chatId of resolveAlertChats(paymentData)) {
+        queueWhatsAppMessage(chatId, text, {}, { kind: 'stock', paymentId: paymentData.id }).catch((error) => {
+            console.error(`❌ Error sending low stock warning to ${chatId}:`, error.message);
+        });
+    }
+}
+
+// Function to queue an outbound WhatsApp message; resolves with the sent message
+// or rejects once it has been dead-lettered. `context` ({ kind, paymentId }) is stored
+// with dead letters, along with the current store, so `resend` can finish the job the original send was doing.
+function queueWhatsAppMessage(chatId, content, options = {}, context = {}) {
+    context = { storeId: getStore().id, ...context };
+    return new Promise((resolve, reject) => {
+        let chatQueue = sendQueues.get(chatId);
+        if (!chatQueue) {
+            chatQueue = { jobs: [], running: false, nextSendAt: 0 };
+            sendQueues.set(chatId, chatQueue);
+        }
+        
+        chatQueue.jobs.push({ content, options, context, resolve, reject });
+        if (!chatQueue.running) {
+            drainSendQueue(chatId, chatQueue);
+        }
+    });
+}
+
+// Function to send a chat's queued messages one by one
+async function drainSendQueue(chatId, chatQueue) {
+    chatQueue.running = true;
+    
+    while (chatQueue.jobs.length > 0) {
+        const job = chatQueue.jobs.shift();
+        try {
+            job.resolve(await sendWithRetries(chatId, chatQueue, job));
+        } catch (error) {
+            job.reject(error);
+        }
+    }
+    
+    chatQueue.running = false;
+    
+    // Keep the idle queue until its per-chat interval has passed, so the next message still waits for it
+    setTimeout(() => {
+        if (!chatQueue.running && chatQueue.jobs.length === 0 && sendQueues.get(chatId) === chatQueue) {
+            sendQueues.delete(chatId);
+        }
+    }, Math.max(0, chatQueue.nextSendAt - Date.now())).unref();
+}
+
+// Function to wait for the next send slot, honouring both the per-chat and the global interval
+function waitForSendSlot(chatQueue) {
+    const now = Date.now();
+    const sendAt = Math.max(now, chatQueue.nextSendAt, nextGlobalSendAt);
+    
+    // Reserve the slot before waiting so concurrent chats queue up behind it
+    chatQueue.nextSendAt = sendAt + sendChatIntervalMs;
+    nextGlobalSendAt = sendAt + sendGlobalIntervalMs;
+    return new Promise(resolve => setTimeout(resolve, sendAt - now));
+}
+
+// Function to send one queued message, retrying transient errors and dead-lettering it at the end
+async function sendWithRetries(chatId, chatQueue, job) {
+    let lastError = null;
+    let attempts = 0;
+    
+    while (attempts <= sendMaxRetries) {
+        await waitForSendSlot(chatQueue);
+        attempts++;
+        
+        try {
+            if (!isWhatsAppReady) {
+                throw new Error('WhatsApp client not ready');
+            }
+            return await client.sendMessage(chatId, job.content, job.options);
+        } catch (error) {
+            lastError = error;
+            if (PERMANENT_SEND_ERRORS.test(error.message) || attempts > sendMaxRetries) {
+                break;
+            }
+            
+            const delay = Math.min(sendRetryBaseMs * 2 ** (attempts - 1), sendRetryMaxMs);
+            console.log(`⚠️ Send to ${chatId} failed (${error.message}). Retrying in ${Math.round(delay / 1000)}s (${attempts}/${sendMaxRetries})`);
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+    
+    await recordDeadLetter(chatId, job, lastError, attempts);
+    throw lastError;
+}
+
+// Function to store a message that could not be sent in the dead-letter collection
+async function recordDeadLetter(chatId, job, error, attempts) {
+    const media = typeof job.content === 'string' ? null : job.content;
+    const keepMedia = media && media.data && media.data.length <= maxDeadLetterMediaChars;
+    
+    try {
+        const deadLetterRef = await createDeadLetterRef();
+        await deadLetterRef.set({
+            chatId,
+            text: media ? job.options.caption || '' : job.content,
+            media: keepMedia ? { mimetype: media.mimetype, data: media.data, filename: media.filename || null } : null,
+            mediaDropped: Boolean(media && !keepMedia),
+            kind: job.context.kind || 'message',
+            paymentId: job.context.paymentId || null,
+            storeId: job.context.storeId || null,
+            error: error ? error.message : 'Unknown error',
+            attempts,
+            status: 'pending',
+            createdAt: admin.firestore.Timestamp.now()
+        });
+        console.error(`☠️ Message to ${chatId} dead-lettered as ${deadLetterRef.id} after ${attempts} attempts: ${error ? error.message : 'Unknown error'}`);
+    } catch (storeError) {
+        console.error(`❌ Error storing dead letter for ${chatId}:`, storeError.message);
+    }
+}
+
+// Function to pick an unused short ID for a dead letter (used by `resend <id>`)
+async function createDeadLetterRef() {
+    for (let attempt = 0; attempt < 10; attempt++) {
+        let id = '';
+        for (let i = 0; i < SHORT_CODE_LENGTH + 2; i++) {
+            id += SHORT_CODE_ALPHABET[crypto.randomInt(SHORT_CODE_ALPHABET.length)];
+        }
+        const deadLetterRef = storeCollection('deadLetters', getPrimaryStore()).doc(id);
+        if (!(await deadLetterRef.get()).exists) {
+            return deadLetterRef;
+        }
+    }
+    return storeCollection('deadLetters', getPrimaryStore()).doc();
+}
+
+// Function to list dead-lettered messages waiting for a resend
+async function handleFailedCommand(message) {
+    try {
+        const snapshot = await storeCollection('deadLetters', getPrimaryStore())
+            .where('status', '==', 'pending')
+            .get();
+        
+        if (snapshot.empty) {
+            await message.reply('✅ No failed messages.');
+            return;
+        }
+        
+        const deadLetters = snapshot.docs
+            .sort((a, b) => toDate(a.data().createdAt) - toDate(b.data().createdAt))
+            .slice(0, maxQueryResults);
+        
+        const lines = deadLetters.map((deadLetterDoc) => {
+            const deadLetter = deadLetterDoc.data();
+            const payment = deadLetter.paymentId ? ` - payment ${deadLetter.paymentId}` : '';
+            const store = getStores().length > 1 && deadLetter.storeId ? ` (${deadLetter.storeId})` : '';
+            return `• ${deadLetterDoc.id} - ${deadLetter.kind} to ${deadLetter.chatId}${payment}${store}\n  ${(toDate(deadLetter.createdAt) || new Date()).toLocaleString()}: ${deadLetter.error}`;
+        });
+        
+        const more = snapshot.size > deadLetters.length ? `\n…and ${snapshot.size - deadLetters.length} more` : '';
+        await message.reply(`☠️ Failed messages (${snapshot.size}):\n\n${lines.join('\n')}${more}\n\nSend "resend [ID]" to retry one.`);
+    } catch (error) {
+        console.error('❌ Error listing failed messages:', error.message);
+        await message.reply('❌ Error listing failed messages. Please try again.');
+    }
+}
+
+// Function to retry one dead-lettered message
+async function handleResendCommand(deadLetterId, message) {
+    try {
+        const deadLetterRef = storeCollection('deadLetters', getPrimaryStore()).doc(deadLetterId.toUpperCase());
+        const deadLetterDoc = await deadLetterRef.get();
+        
+        if (!deadLetterDoc.exists) {
+            await message.reply(`❌ Failed message ${deadLetterId} not found. Send "failed" to list them.`);
+            return;
+        }
+        
+        const deadLetter = deadLetterDoc.data();
+        if (deadLetter.status !== 'pending') {
+            await message.reply(`ℹ️ Message ${deadLetterDoc.id} was already ${deadLetter.status}.`);
+            return;
+        }
+        
+        // The payment behind the message lives in the store that sent it
+        const store = findStore(deadLetter.storeId) || getStore();
+        if (store !== getStore()) {
+            await runInStore(store, () => handleResendCommand(deadLetterId, message));
+            return;
+        }
+        
+        // Alerts the ledger has delivered since (e.g. replayed after a reconnect) are not sent twice
+        let paymentData = null;
+        if (deadLetter.paymentId) {
+            const paymentDoc = await storeCollection('payments').doc(deadLetter.paymentId).get();
+            paymentData = paymentDoc.exists ? readPaymentData(paymentDoc) : null;
+        }
+        if (deadLetter.kind === 'alert' && paymentData && (paymentData.notifiedChats || []).includes(deadLetter.chatId)) {
+            await deadLetterRef.update({ status: 'resolved', resolvedAt: admin.firestore.Timestamp.now() });
+            await message.reply(`ℹ️ The alert for payment ${paymentData.id} has since been delivered to ${deadLetter.chatId}.`);
+            return;
+        }
+        
+        if (!isWhatsAppReady) {
+            await message.reply('⚠️ WhatsApp client not ready. Try again once it reconnects.');
+            return;
+        }
+        
+        const content = deadLetter.media
+            ? new MessageMedia(deadLetter.media.mimetype, deadLetter.media.data, deadLetter.media.filename)
+            : deadLetter.text;
+        const options = deadLetter.media ? { caption: deadLetter.text } : {};
+        
+        let sentMessage;
+        try {
+            // A failed resend is dead-lettered again under a new ID
+            sentMessage = await queueWhatsAppMessage(deadLetter.chatId, content, options, { kind: deadLetter.kind, paymentId: deadLetter.paymentId });
+        } catch (error) {
+            await deadLetterRef.update({ status: 'failed', resolvedAt: admin.firestore.Timestamp.now() });
+            await message.reply(`❌ Resending ${deadLetterDoc.id} failed again: ${error.message}`);
+            return;
+        }
+        
+        await deadLetterRef.update({
+            status: 'resent',
+            resolvedAt: admin.firestore.Timestamp.now(),
+            resentBy: formatSender(await getMessageSender(message))
+        });
+        
+        if (paymentData && ['alert', 'reminder', 'escalation'].includes(deadLetter.kind)) {
+            await recordAlertMessage(sentMessage, paymentData, deadLetter.chatId);
+        }
+        if (paymentData && deadLetter.kind === 'alert') {
+            await markAlertChatDelivered(paymentData, deadLetter.chatId);
+        }
+        
+        await message.reply(`✅ Message ${deadLetterDoc.id} resent to ${deadLetter.chatId}.`);
+    } catch (error) {
+        console.error('❌ Error resending failed message:', error.message);
+        await message.reply('❌ Error resending message. Please try again.');
+    }
+}
+
+// Function to record a resent alert in the ledger, marking the payment sent once every chat has it
+async function markAlertChatDelivered(paymentData, chatId) {
+    const notifiedChats = [...new Set([...(paymentData.notifiedChats || []), chatId])];
+    const allDelivered = resolveAlertChats(paymentData).every(alertChatId => notifiedChats.includes(alertChatId));
+    
+    const update = { notifiedChats: admin.firestore.FieldValue.arrayUnion(chatId) };
+    if (allDelivered && paymentData.notificationStatus !== 'sent') {
+        update.notificationStatus = 'sent';
+        update.notifiedAt = admin.firestore.Timestamp.now();
+    }
+    await storeCollection('payments').doc(paymentData.id).update(update);
+}
+
+// Function to send WhatsApp message
+// Sends the alert to every chat the routing config picks for the payment, skipping chats
+// already recorded in `notifiedChats`. Returns true once every chat has it.
+async function sendWhatsAppMessage(paymentData) {
+    if (!isWhatsAppReady) {
+        console.log('⚠️ WhatsApp client not ready. Message not sent.');
+        return false;
+    }
+
+    try {
+        const chatIds = resolveAlertChats(paymentData);
+        if (chatIds.length === 0) {
+            console.error('❌ No WhatsApp chat configured for this payment (set WHATSAPP_PHONE_NUMBER or ROUTING_FILE)');
+            return false;
+        }
+        
+        const alreadyNotified = paymentData.notifiedChats || [];
+        const pendingChats = chatIds.filter(chatId => !alreadyNotified.includes(chatId));
+        if (pendingChats.length === 0) {
+            return true;
+        }
+        
+        // Attach the payment screenshot when there is one, otherwise send text only
+        const screenshot = await loadPaymentScreenshot(paymentData);
+        
+        // Format the message with payment details
+        const message = formatPaymentMessage(paymentData, { screenshotAttached: Boolean(screenshot) });
+        
+        let allSent = true;
+        for (const phoneNumber of pendingChats) {
+            try {
+                console.log(`📤 Sending message to: ${phoneNumber}`);
+                
+                // Send the message
+                let sentMessage;
+                const alertContext = { kind: 'alert', paymentId: paymentData.id };
+                if (screenshot) {
+                    sentMessage = await queueWhatsAppMessage(phoneNumber, screenshot, { caption: message }, alertContext);
+                    console.log('✅ WhatsApp message sent successfully with screenshot');
+                } else {
+                    sentMessage = await queueWhatsAppMessage(phoneNumber, message, {}, alertContext);
+                    console.log('✅ WhatsApp message sent successfully');
+                }
+                
+                await storeCollection('payments').doc(paymentData.id).update({
+                    notifiedChats: admin.firestore.FieldValue.arrayUnion(phoneNumber)
+                });
+                await recordAlertMessage(sentMessage, paymentData, phoneNumber);
+            } catch (error) {
+                console.error(`❌ Error sending WhatsApp message to ${phoneNumber}:`, error.message);
+                allSent = false;
+            }
+        }
+        
+        return allSent;
+    } catch (error) {
+        console.error('❌ Error sending WhatsApp message:', error.message);
+        return false;
+    }
+}
+
+// Function to get the notification channels, loading them once
+function getNotificationChannels() {
+    if (!notificationChannels) {
+        notificationChannels = loadNotificationChannels();
+    }
+    return notificationChannels;
+}
+
+// Function to set up the Telegram, email and webhook channels from the environment (or use the
+// `configuredChannels` given to useAdapters()) and read which channels each event goes to
+// (CHANNELS_NEW_PAYMENT, CHANNELS_APPROVED, CHANNELS_REJECTED).
+// Returns { channels: Map(name -> channel), events: { event: [names] } }; "whatsapp" has no entry
+// in `channels` because it is served by the send pipeline.
+function loadNotificationChannels(configuredChannels = null) {
+    const channels = new Map(Object.entries(configuredChannels || {}));
+    
+    const telegramChatIds = (process.env.TELEGRAM_CHAT_IDS || '').split(',').map(chatId => chatId.trim()).filter(Boolean);
+    if (!configuredChannels && process.env.TELEGRAM_BOT_TOKEN && telegramChatIds.length > 0) {
+        channels.set('telegram', createTelegramChannel({ token: process.env.TELEGRAM_BOT_TOKEN, chatIds: telegramChatIds }));
+    }
+    
+    const emailTo = process.env.NOTIFY_EMAIL_TO || process.env.ALERT_EMAIL_TO;
+    if (!configuredChannels && process.env.SMTP_HOST && emailTo) {
+        channels.set('email', createEmailChannel({ to: emailTo, from: process.env.ALERT_EMAIL_FROM || process.env.SMTP_USER }));
+    }
+    
+    if (!configuredChannels && process.env.NOTIFY_WEBHOOK_URL) {
+        channels.set('webhook', createWebhookChannel({ url: process.env.NOTIFY_WEBHOOK_URL, secret: process.env.NOTIFY_WEBHOOK_SECRET }));
+    }
+    
+    const events = {};
+    for (const [event, { envVar, defaultChannels }] of Object.entries(NOTIFICATION_EVENTS)) {
+        const names = (process.env[envVar] !== undefined ? process.env[envVar] : defaultChannels)
+            .split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+        
+        events[event] = names.filter((name) => {
+            if (!CHANNEL_NAMES.includes(name)) {
+                console.error(`❌ Unknown channel "${name}" in ${envVar} (use ${CHANNEL_NAMES.join(', ')})`);
+                return false;
+            }
+            if (name !== 'whatsapp' && !channels.has(name)) {
+                console.log(`⚠️ ${envVar} lists "${name}", but that channel is not configured. Skipping it.`);
+                return false;
+            }
+            return true;
+        });
+    }
+    
+    return { channels, events };
+}
+
+// Function to build what a channel sends for a payment event
+function buildChannelNotification(event, paymentData, text, media = null) {
+    const context = buildPaymentContext(paymentData);
+    const reference = `${context.shortCode || paymentData.id}${context.storeName ? ` (${context.storeName})` : ''}`;
+    // With several stores the store goes into the callback data, see handleTelegramUpdate()
+    const callbackId = getStores().length > 1 ? `${context.storeId}:${paymentData.id}` : paymentData.id;
+    const subjects = {
+        new_payment: `💰 New payment ${reference}${context.amount ? ` - ${context.amount}` : ''}`,
+        approved: `✅ Payment ${reference} approved`,
+        rejected: `❌ Payment ${reference} rejected`
+    };
+    
+    return {
+        event,
+        subject: subjects[event],
+        text,
+        payment: context,
+        media,
+        // Only new payments can still be reviewed; Telegram shows these as inline buttons
+        buttons: event === 'new_payment' ? [
+            { text: '✅ Approve', data: `approve:${callbackId}` },
+            { text: '❌ Reject', data: `reject:${callbackId}` }
+        ] : null
+    };
+}
+
+// Function to send a payment event to its Telegram, email and webhook channels (not WhatsApp).
+// `text` defaults to the payment alert (with the screenshot attached when there is one). New payment
+// alerts skip channels already recorded in `notifiedChannels`, and the chats of a channel recorded in
+// `notifiedChannelChats` ("telegram:-1001") when it only reached some of them, so a replay doesn't repeat them.
+// Never throws: resolves to true once every channel has it.
+async function sendToChannels(event, paymentData, text = null, skipChannels = []) {
+    const { channels, events } = getNotificationChannels();
+    const alreadyNotified = event === 'new_payment' ? paymentData.notifiedChannels || [] : [];
+    const notifiedChannelChats = event === 'new_payment' ? paymentData.notifiedChannelChats || [] : [];
+    const pendingChannels = (events[event] || [])
+        .filter(name => name !== 'whatsapp' && !skipChannels.includes(name) && !alreadyNotified.includes(name));
+    
+    if (pendingChannels.length === 0) {
+        return true;
+    }
+    
+    const media = event === 'new_payment' ? await loadPaymentScreenshot(paymentData) : null;
+    const notification = buildChannelNotification(event, paymentData,
+        text || formatPaymentMessage(paymentData, { screenshotAttached: Boolean(media) }), media);
+    
+    let allSent = true;
+    for (const name of pendingChannels) {
+        const skipChatIds = notifiedChannelChats
+            .filter(entry => entry.startsWith(`${name}:`))
+            .map(entry => entry.slice(name.length + 1));
+        
+        try {
+            await channels.get(name).send(notification, { skipChatIds });
+            console.log(`✅ ${notification.subject} sent by ${name}`);
+            
+            if (event === 'new_payment') {
+                await storeCollection('payments').doc(paymentData.id).update({
+                    notifiedChannels: admin.firestore.FieldValue.arrayUnion(name)
+                });
+            }
+        } catch (error) {
+            console.error(`❌ Error sending ${event} for payment ${paymentData.id} by ${name}:`, error.message);
+            allSent = false;
+            
+            if (event === 'new_payment' && error.sentChatIds && error.sentChatIds.length > 0) {
+                await storeCollection('payments').doc(paymentData.id).update({
+                    notifiedChannelChats: admin.firestore.FieldValue.arrayUnion(...error.sentChatIds.map(chatId => `${name}:${chatId}`))
+                }).catch((updateError) => {
+                    console.error(`❌ Error recording ${name} chats for payment ${paymentData.id}:`, updateError.message);
+                });
+            }
+        }
+    }
+    
+    return allSent;
+}
+
+// Function to announce an approval or rejection on the channels configured for the event.
+// `message` is the command that made the change: its chat (and channel) already has the reply.
+// Changes made outside WhatsApp (admin API, Telegram) are always posted to the payment's alert chats.
+async function announcePaymentChange(event, paymentData, text, message) {
+    const origin = message.channel || 'whatsapp';
+    const postToWhatsApp = (getNotificationChannels().events[event] || []).includes('whatsapp') || origin !== 'whatsapp';
+    
+    if (postToWhatsApp && isWhatsAppReady) {
+        for (const chatId of resolveAlertChats(paymentData).filter(alertChatId => alertChatId !== message.from)) {
+            queueWhatsAppMessage(chatId, text, {}, { kind: 'change', paymentId: paymentData.id }).catch((error) => {
+                console.error(`❌ Error posting payment change to ${chatId}:`, error.message);
+            });
+        }
+    }
+    
+    await sendToChannels(event, paymentData, text, [origin]);
+}
+
+// Function to identify a Telegram user, who must be in one of TELEGRAM_CHAT_IDS. Reviewers are limited
+// to TELEGRAM_APPROVERS (user IDs or @usernames), like WHATSAPP_APPROVERS; only with
+// TELEGRAM_ALLOW_ALL_MEMBERS=true may every member of those chats review payments.
+// Returns a sender (see getMessageSender) or null when the user may not review payments.
+function getTelegramSender(user, chatId, telegram) {
+    if (!user || !telegram.chatIds.includes(String(chatId))) {
+        return null;
+    }
     
-    // Check if we have the service account as an environment variable (for cloud deployment)
-    if (process.env.FIREBASE_SERVICE_ACCOUNT) {
-        serviceAccount = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT);
-        console.log('✅ Using Firebase service account from environment variable');
-    } else {
-        // Fallback to file (for local development)
-        serviceAccount = require('./firebase-service-account.json');
-        console.log('✅ Using Firebase service account from file');
+    const approvers = (process.env.TELEGRAM_APPROVERS || '').split(',').map(entry => entry.trim().replace(/^@/, '').toLowerCase()).filter(Boolean);
+    const allowAll = process.env.TELEGRAM_ALLOW_ALL_MEMBERS === 'true';
+    if (!allowAll && !approvers.includes(String(user.id)) && !approvers.includes((user.username || '').toLowerCase())) {
+        return null;
+    }
+    
+    return {
+        id: `telegram:${user.id}`,
+        number: null,
+        name: `${[user.first_name, user.last_name].filter(Boolean).join(' ') || user.username || user.id} (Telegram)`,
+        role: 'approver'
+    };
+}
+
+// Function to handle a Telegram update: an Approve/Reject button press on an alert, or the reply
+// to a rejection-reason prompt. Both go through handlePaymentApproval()/handlePaymentRejection()
+// in the payment's store ("approve:STORE:ID" with several stores, otherwise "approve:ID").
+async function handleTelegramUpdate(update) {
+    const telegram = getNotificationChannels().channels.get('telegram');
+    
+    if (update.callback_query) {
+        const callback = update.callback_query;
+        const chatId = callback.message && callback.message.chat.id;
+        const alertMessageId = callback.message && callback.message.message_id;
+        const actionMatch = String(callback.data || '').match(/^(approve|reject):(?:([a-zA-Z0-9_-]+):)?([a-zA-Z0-9_-]+)$/);
+        const sender = getTelegramSender(callback.from, chatId, telegram);
+        
+        if (!actionMatch || !chatId) {
+            await telegram.answerCallback(callback.id);
+            return;
+        }
+        if (!sender) {
+            console.warn(`⛔ Unauthorized Telegram ${actionMatch[1]} by ${callback.from.username || callback.from.id} in ${chatId}`);
+            await telegram.answerCallback(callback.id, "⛔ Sorry, you don't have permission to review payments.");
+            return;
+        }
+        
+        const [, action, storeId, paymentId] = actionMatch;
+        const store = storeId ? findStore(storeId) : getPrimaryStore();
+        if (!store) {
+            await telegram.answerCallback(callback.id, `Unknown store "${storeId}".`);
+            return;
+        }
+        const responder = {
+            channel: 'telegram',
+            reply: text => telegram.sendMessage(chatId, text, { reply_to_message_id: alertMessageId })
+        };
+        
+        if (action === 'approve') {
+            await telegram.answerCallback(callback.id, 'Approving...');
+            const result = await runInStore(store, () => handlePaymentApproval(paymentId, responder, sender));
+            if (result && result.outcome !== 'not_found') {
+                await telegram.clearButtons(chatId, alertMessageId).catch(() => {});
+            }
+            return;
+        }
+        
+        // A rejection needs a reason: ask for it as a reply to a prompt
+        await telegram.answerCallback(callback.id);
+        const prompt = await telegram.sendMessage(chatId, `✏️ Reply to this message with the reason for rejecting payment ${paymentId}.`, {
+            reply_to_message_id: alertMessageId,
+            reply_markup: { force_reply: true, selective: true }
+        });
+        
+        for (const [key, pending] of telegramReasonPrompts) {
+            if (Date.now() - pending.at > telegramPromptTtlMs) {
+                telegramReasonPrompts.delete(key);
+            }
+        }
+        telegramReasonPrompts.set(`${chatId}:${prompt.message_id}`, { paymentId, storeId: store.id, alertMessageId, at: Date.now() });
+        return;
+    }
+    
+    const message = update.message;
+    if (!message || !message.reply_to_message || !(message.text || '').trim()) {
+        return;
+    }
+    
+    const promptKey = `${message.chat.id}:${message.reply_to_message.message_id}`;
+    const pending = telegramReasonPrompts.get(promptKey);
+    if (!pending) {
+        return;
+    }
+    
+    const sender = getTelegramSender(message.from, message.chat.id, telegram);
+    if (!sender) {
+        await telegram.sendMessage(message.chat.id, "⛔ Sorry, you don't have permission to reject payments.", { reply_to_message_id: message.message_id });
+        return;
+    }
+    
+    telegramReasonPrompts.delete(promptKey);
+    const responder = {
+        channel: 'telegram',
+        reply: text => telegram.sendMessage(message.chat.id, text, { reply_to_message_id: message.message_id })
+    };
+    
+    const store = findStore(pending.storeId) || getPrimaryStore();
+    const result = await runInStore(store, () => handlePaymentRejection(pending.paymentId, responder, sender, message.text.trim()));
+    if (result && result.outcome !== 'not_found') {
+        await telegram.clearButtons(message.chat.id, pending.alertMessageId).catch(() => {});
+    }
+}
+
+// Function to start listening for Telegram button presses when the Telegram channel is configured
+function startTelegramPolling() {
+    const telegram = getNotificationChannels().channels.get('telegram');
+    if (!telegram) {
+        return;
+    }
+    
+    console.log(`🤖 Telegram channel ready for ${telegram.chatIds.length} chat(s)`);
+    telegram.startPolling(handleTelegramUpdate);
+}
+
+// Function to connect every store without a database to its Firebase project
+function initializeStoreDatabases() {
+    for (const store of getStores()) {
+        if (!store.db) {
+            const firebaseConfig = store.config.firebase ? { ...store.config.firebase, name: store.id } : {};
+            store.db = initializeFirestore(firebaseConfig);
+            store.app = admin.app(firebaseConfig.name);
+        }
+    }
+}
+
+// Function to get a store's alert routing config, loading it once
+function getRoutingConfig(store = getStore()) {
+    if (!store.routing) {
+        store.routing = loadRoutingConfig(store, { defaultChat: process.env.WHATSAPP_PHONE_NUMBER, escalationChatId });
+    }
+    return store.routing;
+}
+
+// Function to pick the chats a payment alert goes to in the current store
+function resolveAlertChats(paymentData) {
+    return matchAlertChats(getRoutingConfig(), normalizePayment(paymentData));
+}
+
+// Function to find where a payment's screenshot lives (URL, gs:// URI or Storage path)
+function getScreenshotLocation(paymentData) {
+    for (const field of SCREENSHOT_FIELDS) {
+        const value = paymentData[field];
+        if (typeof value === 'string' && value.trim() !== '') {
+            return value.trim();
+        }
+        // Some uploads store { url } or { path } objects
+        if (value && typeof value === 'object' && (value.url || value.path)) {
+            return String(value.url || value.path).trim();
+        }
+    }
+    return null;
+}
+
+// Function to check a screenshot URL before fetching it: https only, on an allowed host
+// (Firebase Storage or SCREENSHOT_HOSTS), and not resolving to an internal address
+async function checkScreenshotUrl(url) {
+    const { protocol, hostname } = new URL(url);
+    if (protocol !== 'https:') {
+        throw new Error('Screenshot URL is not https');
+    }
+    
+    const host = hostname.toLowerCase().replace(/^\[|\]$/g, '');
+    if (!screenshotHosts.includes(host)) {
+        throw new Error(`Screenshot host ${host} is not allowed (see SCREENSHOT_HOSTS)`);
+    }
+    
+    const addresses = await dns.promises.lookup(host, { all: true });
+    // BlockList also matches IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) against the IPv4 ranges
+    const blocked = addresses.find(({ address, family }) => BLOCKED_SCREENSHOT_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4'));
+    if (blocked) {
+        throw new Error(`Screenshot host ${host} resolves to the internal address ${blocked.address}`);
+    }
+}
+
+// Function to download a screenshot over HTTPS, enforcing the allowed hosts and the size limit
+async function downloadScreenshotFromUrl(url) {
+    await checkScreenshotUrl(url);
+    
+    // Redirects could lead anywhere, so they are refused rather than followed
+    const response = await fetch(url, { redirect: 'error', signal: AbortSignal.timeout(screenshotTimeoutMs) });
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+    }
+    
+    const declaredSize = parseInt(response.headers.get('content-length'), 10);
+    if (declaredSize > maxScreenshotBytes) {
+        throw new Error(`Screenshot is too large (${declaredSize} bytes)`);
+    }
+    
+    // The declared size can be missing or wrong, so count the bytes as they arrive
+    const chunks = [];
+    let size = 0;
+    const reader = response.body.getReader();
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) {
+            break;
+        }
+        size += value.length;
+        if (size > maxScreenshotBytes) {
+            await reader.cancel();
+            throw new Error(`Screenshot is too large (over ${maxScreenshotBytes} bytes)`);
+        }
+        chunks.push(value);
+    }
+    
+    return {
+        buffer: Buffer.concat(chunks),
+        mimetype: (response.headers.get('content-type') || '').split(';')[0].trim(),
+        filename: path.basename(new URL(url).pathname) || 'screenshot'
+    };
+}
+
+// Function to download a screenshot from Firebase Storage ("gs://bucket/path", or a path in the
+// store's `firebase.storageBucket` or FIREBASE_STORAGE_BUCKET)
+async function downloadScreenshotFromStorage(location) {
+    const store = getStore();
+    let bucketName = (store.config.firebase && store.config.firebase.storageBucket) || process.env.FIREBASE_STORAGE_BUCKET;
+    let filePath = location.replace(/^\/+/, '');
+    
+    const gsMatch = location.match(/^gs:\/\/([^/]+)\/(.+)$/);
+    if (gsMatch) {
+        bucketName = gsMatch[1];
+        filePath = gsMatch[2];
+    }
+    
+    if (!bucketName) {
+        throw new Error('FIREBASE_STORAGE_BUCKET is not configured');
+    }
+    
+    const file = admin.storage(store.app || undefined).bucket(bucketName).file(filePath);
+    const [metadata] = await file.getMetadata();
+    if (parseInt(metadata.size, 10) > maxScreenshotBytes) {
+        throw new Error(`Screenshot is too large (${metadata.size} bytes)`);
+    }
+    
+    const [buffer] = await file.download();
+    return {
+        buffer,
+        mimetype: metadata.contentType || '',
+        filename: path.basename(filePath)
+    };
+}
+
+// Function to download a payment's screenshot ({ buffer, mimetype, filename }), or null when it has none.
+// Recent downloads are cached so the risk checks and the alert don't fetch the same image twice.
+async function downloadPaymentScreenshot(paymentData) {
+    const location = getScreenshotLocation(paymentData);
+    if (!location) {
+        return null;
+    }
+    
+    const cached = screenshotCache.get(location);
+    if (cached && Date.now() - cached.cachedAt < screenshotCacheTtlMs) {
+        return cached.screenshot;
+    }
+    
+    const screenshot = /^https?:\/\//i.test(location)
+        ? await downloadScreenshotFromUrl(location)
+        : await downloadScreenshotFromStorage(location);
+    
+    for (const [key, entry] of screenshotCache) {
+        if (Date.now() - entry.cachedAt >= screenshotCacheTtlMs) {
+            screenshotCache.delete(key);
+        }
+    }
+    screenshotCache.set(location, { screenshot, cachedAt: Date.now() });
+    
+    return screenshot;
+}
+
+// Function to load a payment's screenshot as MessageMedia, or null when it is missing, unusable or too large
+async function loadPaymentScreenshot(paymentData) {
+    try {
+        const screenshot = await downloadPaymentScreenshot(paymentData);
+        if (!screenshot) {
+            return null;
+        }
+        
+        if (screenshot.buffer.length > maxScreenshotBytes) {
+            throw new Error(`Screenshot is too large (${screenshot.buffer.length} bytes)`);
+        }
+        
+        if (!screenshot.mimetype.startsWith('image/')) {
+            throw new Error(`Unsupported screenshot type "${screenshot.mimetype || 'unknown'}"`);
+        }
+        
+        return new MessageMedia(screenshot.mimetype, screenshot.buffer.toString('base64'), screenshot.filename);
+    } catch (error) {
+        console.log(`⚠️ Could not attach screenshot for payment ${paymentData.id}: ${error.message}. Sending text only.`);
+        return null;
+    }
+}
+
+// Function to describe another payment in a risk warning
+function describeOtherPayment(paymentData) {
+    return paymentData.shortCode ? `#${paymentData.shortCode} (${paymentData.id})` : paymentData.id;
+}
+
+// Function to find a transaction ID reused by another payment
+async function checkDuplicateTransaction(paymentData) {
+    const warnings = [];
+    
+    for (const field of TRANSACTION_ID_FIELDS) {
+        const value = paymentData[field];
+        if (!value) {
+            continue;
+        }
+        
+        const snapshot = await storeCollection('payments').where(paymentField(field), '==', value).limit(5).get();
+        const others = snapshot.docs.filter(doc => doc.id !== paymentData.id);
+        if (others.length > 0) {
+            warnings.push({
+                code: 'duplicate_transaction',
+                message: `Transaction ID "${value}" was already used by ${others.map(doc => describeOtherPayment(readPaymentData(doc))).join(', ')}`
+            });
+        }
+    }
+    
+    return { warnings };
+}
+
+// Function to find another payment with the exact same screenshot
+async function checkDuplicateScreenshot(paymentData) {
+    const screenshot = await downloadPaymentScreenshot(paymentData);
+    if (!screenshot) {
+        return { warnings: [] };
+    }
+    
+    const screenshotHash = crypto.createHash('sha256').update(screenshot.buffer).digest('hex');
+    const snapshot = await storeCollection('payments').where('screenshotHash', '==', screenshotHash).limit(5).get();
+    const others = snapshot.docs.filter(doc => doc.id !== paymentData.id);
+    
+    return {
+        fields: { screenshotHash },
+        warnings: others.length > 0 ? [{
+            code: 'duplicate_screenshot',
+            message: `Same screenshot as ${others.map(doc => describeOtherPayment(readPaymentData(doc))).join(', ')}`
+        }] : []
+    };
+}
+
+// Function to flag many payments from the same phone or email within RISK_VELOCITY_WINDOW_MINUTES
+async function checkPaymentVelocity(paymentData) {
+    const warnings = [];
+    const createdAt = getPaymentTime(paymentData) || Date.now();
+    
+    for (const field of ['phone', 'email']) {
+        const value = paymentData[field];
+        if (!value) {
+            continue;
+        }
+        
+        const snapshot = await storeCollection('payments').where(paymentField(field), '==', value).limit(50).get();
+        const recent = snapshotToPayments(snapshot).filter((otherPayment) => {
+            const otherTime = getPaymentTime(otherPayment);
+            return otherTime && Math.abs(createdAt - otherTime) <= velocityWindowMs;
+        });
+        
+        if (recent.length >= velocityMaxPayments) {
+            warnings.push({
+                code: 'high_velocity',
+                message: `${recent.length} payments from ${field} ${value} within ${velocityWindowMs / 60000} min`
+            });
+        }
     }
     
-    admin.initializeApp({
-        credential: admin.credential.cert(serviceAccount),
-        projectId: process.env.FIREBASE_PROJECT_ID || serviceAccount.project_id
+    return { warnings };
+}
+
+// Function to compare the order total with the variant prices (and the catalog, when configured)
+async function checkPaymentAmount(paymentData) {
+    const payment = normalizePayment(paymentData);
+    const warnings = [];
+    
+    if (payment.totalMismatch) {
+        warnings.push({
+            code: 'amount_mismatch',
+            message: `Order total ${payment.totalText} doesn't match the item prices (${formatMoney(payment.itemsTotal, payment.currency)})`
+        });
+    }
+    
+    if (getStore().collections.priceCatalog) {
+        for (const item of payment.items) {
+            if (!item.name || !item.variantLabel || item.variantPrice === null) {
+                continue;
+            }
+            
+            const snapshot = await storeCollection('priceCatalog').where('name', '==', item.name).limit(1).get();
+            if (snapshot.empty) {
+                continue;
+            }
+            
+            const variants = snapshot.docs[0].data().variants || [];
+            const catalogVariant = variants.find(variant => variant.label === item.variantLabel);
+            const catalogPrice = catalogVariant ? parseAmount(catalogVariant.price) : null;
+            
+            if (catalogPrice !== null && Math.abs(catalogPrice - item.variantPrice) > 0.01) {
+                warnings.push({
+                    code: 'price_mismatch',
+                    message: `${item.name} - ${item.variantLabel} costs ${formatMoney(catalogPrice, payment.currency)}, payment says ${formatMoney(item.variantPrice, payment.currency)}`
+                });
+            }
+        }
+    }
+    
+    return { warnings };
+}
+
+// Function to run the duplicate and fraud checks on a new payment and store the results on it.
+// Each check is independent; one failing is logged and never blocks the alert.
+async function runPaymentChecks(paymentData) {
+    const checks = {
+        duplicateTransaction: checkDuplicateTransaction,
+        duplicateScreenshot: checkDuplicateScreenshot,
+        velocity: checkPaymentVelocity,
+        amount: checkPaymentAmount
+    };
+    
+    const warnings = [];
+    const fields = {};
+    
+    for (const [name, check] of Object.entries(checks)) {
+        try {
+            const result = await check(paymentData);
+            warnings.push(...result.warnings);
+            Object.assign(fields, result.fields);
+        } catch (error) {
+            console.error(`❌ Risk check "${name}" failed for payment ${paymentData.id}:`, error.message);
+        }
+    }
+    
+    const update = {
+        ...fields,
+        riskWarnings: warnings,
+        riskFlags: [...new Set(warnings.map(warning => warning.code))],
+        riskCheckedAt: admin.firestore.Timestamp.now()
+    };
+    await storeCollection('payments').doc(paymentData.id).update(update);
+    
+    if (warnings.length > 0) {
+        console.log(`🚩 ${warnings.length} risk warning(s) for payment ${paymentData.id}:`, warnings.map(warning => warning.message).join('; '));
+    }
+    
+    return update;
+}
+
+// Function to format payment message
+function formatPaymentMessage(paymentData, extra = {}) {
+    return renderMessage('payment', paymentData, extra);
+}
+
+// Function to get a store's message templates (default: the current store), loading them once
+function getMessageTemplates(store = getStore()) {
+    if (!store.templates) {
+        store.templates = loadMessageTemplates(store);
+    }
+    return store.templates;
+}
+
+// Function to render a named template for a payment
+function renderMessage(name, paymentData, extra = {}) {
+    const context = { ...buildPaymentContext(paymentData), ...extra };
+    const template = selectTemplate(getMessageTemplates(), name, context);
+    const options = { formatDate: formatBotDateTime };
+    
+    try {
+        return renderTemplate(template, [context], options).trim();
+    } catch (error) {
+        console.error(`❌ Error rendering "${name}" template:`, error.message);
+        return renderTemplate(parseTemplate(DEFAULT_TEMPLATES[name]), [context], options).trim();
+    }
+}
+
+// Function to extract the number from an amount such as "Rs 1,250.00", 25 or "25"
+function parseAmount(value) {
+    if (typeof value === 'number') {
+        return isFinite(value) ? value : null;
+    }
+    
+    const amountMatch = String(value || '').replace(/,/g, '').match(/(\d+(?:\.\d+)?)/);
+    return amountMatch ? parseFloat(amountMatch[1]) : null;
+}
+
+// Function to convert Firestore timestamps ({seconds}/{_seconds}), Dates and strings into a Date
+function toDate(value) {
+    if (!value) {
+        return null;
+    }
+    if (value instanceof Date) {
+        return value;
+    }
+    if (typeof value.toDate === 'function') {
+        return value.toDate();
+    }
+    if (typeof value === 'object') {
+        const seconds = value.seconds !== undefined ? value.seconds : value._seconds;
+        return seconds !== undefined ? new Date(seconds * 1000) : null;
+    }
+    
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+// Function to format a list of { label, value } extra fields
+function formatExtraFields(extraFields) {
+    if (!Array.isArray(extraFields) || extraFields.length === 0) {
+        return null;
+    }
+    return extraFields.map(field => `${field.label}: ${field.value}`).join(', ');
+}
+
+// Function to keep only well-formed { label, value } extra fields
+function normalizeExtraFields(extraFields) {
+    if (!Array.isArray(extraFields)) {
+        return [];
+    }
+    return extraFields
+        .filter(field => field && field.label !== undefined)
+        .map(field => ({ label: String(field.label), value: field.value === undefined ? null : field.value }));
+}
+
+// Function to detect the currency of an amount such as "Rs 25.00", "NPR 25" or "$25"
+function detectCurrency(value) {
+    const currencyMatch = String(value || '').match(/(NPR|INR|USD|Rs\.?|₹|\$)/i);
+    if (!currencyMatch) {
+        return null;
+    }
+    
+    const symbol = currencyMatch[1].toUpperCase().replace('.', '');
+    return { RS: 'Rs', '₹': 'INR', '$': 'USD' }[symbol] || symbol;
+}
+
+// Function to map any payment document shape into one canonical payment object:
+//   { id, shortCode, customer: { name, phone, email }, items: [...], itemsTotal, total, totalText,
+//     currency, totalMismatch, paymentMethod, status, needsManualVerification, createdAt, reviewedAt,
+//     extraFields, reasons... }
+// Items come from `orderItems`, or from document-level product fields for single-product payments.
+// Amounts are numbers (or null), timestamps are Dates (or null).
+function normalizePayment(paymentData) {
+    const orderItems = Array.isArray(paymentData.orderItems) ? paymentData.orderItems : [];
+    const documentVariant = paymentData.variant && paymentData.variant.label ? paymentData.variant : null;
+    
+    // Single-product payments keep product details on the document itself
+    const sourceItems = orderItems.length > 0 ? orderItems : (paymentData.productName || documentVariant ? [{
+        name: paymentData.productName,
+        variant: documentVariant,
+        price: paymentData.productPrice,
+        quantity: paymentData.quantity,
+        extraFields: paymentData.extraFields
+    }] : []);
+    
+    const items = sourceItems.map((item, index) => {
+        // A document-level variant describes the first (usually only) item
+        const variant = (item.variant && item.variant.label ? item.variant : null) || (index === 0 ? documentVariant : null);
+        const quantity = parseInt(item.quantity || item.qty, 10) || 1;
+        const variantPrice = variant ? parseAmount(variant.price) : null;
+        const unitPrice = variantPrice !== null ? variantPrice : parseAmount(item.price);
+        
+        return {
+            index: index + 1,
+            name: item.name || item.productName || null,
+            variantLabel: variant ? variant.label : null,
+            variantPrice,
+            unitPrice,
+            quantity,
+            lineTotal: unitPrice !== null ? unitPrice * quantity : null,
+            extraFields: normalizeExtraFields(item.extraFields)
+        };
     });
-    db = admin.firestore();
-    console.log('✅ Firebase Admin SDK initialized successfully');
-} catch (error) {
-    console.error('❌ Error initializing Firebase Admin SDK:', error.message);
-    console.log('Please make sure you have:');
-    console.log('1. Set FIREBASE_SERVICE_ACCOUNT environment variable (for cloud deployment)');
-    console.log('2. OR downloaded your Firebase service account key file');
-    console.log('3. Set FIREBASE_PROJECT_ID environment variable');
-    process.exit(1);
-}
-
-// Initialize WhatsApp client
-const client = new Client({
-    authStrategy: new LocalAuth(),
-    puppeteer: {
-        headless: true,
-        args: [
-            '--no-sandbox', 
-            '--disable-setuid-sandbox',
-            '--disable-dev-shm-usage',
-            '--disable-accelerated-2d-canvas',
-            '--no-first-run',
-            '--no-zygote',
-            '--disable-gpu'
-        ]
+    
+    const pricedItems = items.filter(item => item.lineTotal !== null);
+    const itemsTotal = pricedItems.length > 0 && pricedItems.length === items.length
+        ? pricedItems.reduce((sum, item) => sum + item.lineTotal, 0)
+        : null;
+    
+    const totalText = paymentData.orderTotal !== undefined && paymentData.orderTotal !== null && paymentData.orderTotal !== ''
+        ? String(paymentData.orderTotal)
+        : null;
+    const parsedTotal = parseAmount(paymentData.orderTotal);
+    const total = parsedTotal !== null ? parsedTotal : (parseAmount(paymentData.productPrice) !== null ? parseAmount(paymentData.productPrice) : itemsTotal);
+    
+    const status = paymentData.status || 'pending';
+    
+    return {
+        id: paymentData.id || paymentData.paymentId || null, // Document ID is the primary payment ID
+        shortCode: paymentData.shortCode || null,
+        customer: {
+            name: paymentData.fullName || paymentData.customerName || null,
+            phone: paymentData.phone || null,
+            email: paymentData.email || null
+        },
+        items,
+        itemsTotal,
+        total,
+        totalText,
+        currency: detectCurrency(paymentData.orderTotal) || paymentData.currency || defaultCurrency,
+        totalMismatch: parsedTotal !== null && itemsTotal !== null && Math.abs(parsedTotal - itemsTotal) > 0.01,
+        paymentMethod: paymentData.paymentMethod || null,
+        status,
+        needsManualVerification: Boolean(paymentData.needsManualVerification),
+        createdAt: toDate(paymentData[paymentDateField]) || toDate(paymentData.createdAt) || toDate(paymentData.timestamp),
+        reviewedAt: toDate(paymentData.reviewedAt),
+        extraFields: normalizeExtraFields(paymentData.extraFields),
+        approvalNote: paymentData.approvalNote || null,
+        rejectionReason: paymentData.rejectionReason || null,
+        refundReason: paymentData.refundReason || null
+    };
+}
+
+// Function to format a numeric amount for messages ("1,250.00")
+function formatAmount(amount) {
+    if (amount === null || amount === undefined) {
+        return null;
     }
-});
+    return amount.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
 
-// WhatsApp connection status
-let isWhatsAppReady = false;
-let isServerRunning = true;
-let reconnectAttempts = 0;
-const maxReconnectAttempts = 5;
-let messageQueue = []; // Queue for messages when WhatsApp is not ready
-
-// WhatsApp event handlers
-client.on('qr', (qr) => {
-    console.log('📱 WhatsApp QR Code generated. Scan with your phone:');
-    qrcode.generate(qr, { small: true });
-    console.log('\n💡 Scan the QR code above with your WhatsApp mobile app');
-});
+// Function to extract the fields available to message templates from a payment document
+function buildPaymentContext(paymentData) {
+    const payment = normalizePayment(paymentData);
+    const firstItem = payment.items[0] || {};
+    
+    const items = payment.items.map(item => ({
+        index: item.index,
+        name: item.name,
+        variantLabel: item.variantLabel,
+        variantPrice: formatAmount(item.variantPrice),
+        price: formatAmount(item.unitPrice),
+        unitPrice: formatAmount(item.unitPrice),
+        quantity: item.quantity,
+        lineTotal: formatAmount(item.lineTotal),
+        extraFields: formatExtraFields(item.extraFields),
+        currency: payment.currency
+    }));
+    
+    const price = payment.total !== null ? formatAmount(payment.total) : null;
+    
+    return {
+        paymentId: payment.id,
+        shortCode: payment.shortCode ? `#${payment.shortCode}` : null,
+        customerName: payment.customer.name,
+        fullName: payment.customer.name,
+        phone: payment.customer.phone,
+        email: payment.customer.email,
+        productName: firstItem.name || null,
+        variantLabel: firstItem.variantLabel || null,
+        variantPrice: formatAmount(firstItem.variantPrice),
+        price,
+        amount: payment.totalText || (price !== null ? `${payment.currency} ${price}` : null),
+        orderTotal: payment.totalText,
+        total: price,
+        currency: payment.currency,
+        itemsTotal: formatAmount(payment.itemsTotal),
+        itemCount: payment.items.length,
+        totalMismatch: payment.totalMismatch,
+        extraFields: formatExtraFields(payment.extraFields) || formatExtraFields(firstItem.extraFields),
+        items,
+        paymentMethod: payment.paymentMethod,
+        status: payment.status,
+        statusUpper: payment.status.toUpperCase(),
+        needsVerification: payment.needsManualVerification ? 'Yes' : 'No',
+        timestamp: formatBotDateTime(payment.createdAt || new Date()),
+        reviewedAt: payment.reviewedAt ? formatBotDateTime(payment.reviewedAt) : null,
+        approvalNote: payment.approvalNote,
+        rejectionReason: payment.rejectionReason,
+        refundReason: payment.refundReason,
+        riskWarnings: Array.isArray(paymentData.riskWarnings) ? paymentData.riskWarnings : [],
+        storeId: getStore().id,
+        storeName: getStoreLabel(),
+        adminUrl: process.env.ADMIN_PANEL_URL || null
+    };
+}
+
+// Function to load the resume checkpoint for the payments listener
+async function loadMonitorCheckpoint() {
+    const stateRef = storeCollection('notifierState').doc('paymentsMonitor');
+    const stateDoc = await stateRef.get();
+    
+    if (stateDoc.exists && stateDoc.data().checkpoint) {
+        return stateDoc.data().checkpoint;
+    }
+    
+    // First run with the ledger: payments already in the collection were announced by
+    // earlier versions of the bot, so only payments created from now on are new
+    const checkpoint = admin.firestore.Timestamp.now();
+    await stateRef.set({ checkpoint, updatedAt: checkpoint }, { merge: true });
+    console.log('📌 No monitor checkpoint found. Existing payments are treated as already notified.');
+    return checkpoint;
+}
+
+// Function to move the resume checkpoint forward
+async function saveMonitorCheckpoint(checkpoint) {
+    const monitor = getStore().monitor;
+    if (monitor.checkpoint && checkpoint.toMillis() <= monitor.checkpoint.toMillis()) {
+        return;
+    }
+    
+    monitor.checkpoint = checkpoint;
+    await storeCollection('notifierState').doc('paymentsMonitor').set({
+        checkpoint,
+        updatedAt: admin.firestore.Timestamp.now()
+    }, { merge: true });
+}
+
+// Function to decide whether a payment still has to be announced
+function needsNotification(paymentDoc) {
+    const paymentData = paymentDoc.data();
+    const status = paymentData.notificationStatus;
+    
+    if (status === 'sent') {
+        return false;
+    }
+    
+    // Held payments wait for "resume"; digest payments are announced by sendQuietHoursDigest()
+    if ((status === 'held' && !isServerRunning) || status === 'digest') {
+        return false;
+    }
+    
+    if (status === 'failed' && (paymentData.notificationAttempts || 0) >= maxNotificationAttempts) {
+        return false;
+    }
+    
+    // Payments without a ledger entry that predate the checkpoint were handled before the ledger existed
+    const checkpoint = getStore().monitor.checkpoint;
+    if (!status && checkpoint && paymentDoc.createTime.toMillis() <= checkpoint.toMillis()) {
+        return false;
+    }
+    
+    return true;
+}
+
+// Function to claim a payment for delivery so it is announced exactly once
+async function claimPaymentNotification(paymentRef) {
+    return getStore().db.runTransaction(async (transaction) => {
+        const paymentDoc = await transaction.get(paymentRef);
+        
+        if (!paymentDoc.exists || !needsNotification(paymentDoc)) {
+            return null;
+        }
+        
+        const paymentData = readPaymentData(paymentDoc);
+        const claimedAt = paymentData.notificationClaimedAt;
+        if (paymentData.notificationStatus === 'sending' && claimedAt &&
+            Date.now() - claimedAt.toMillis() < notificationClaimTimeoutMs) {
+            // Another attempt is still in flight
+            return null;
+        }
+        
+        transaction.update(paymentRef, {
+            notificationStatus: 'sending',
+            notificationClaimedAt: admin.firestore.Timestamp.now()
+        });
+        
+        return paymentData;
+    });
+}
 
-client.on('ready', async () => {
-    console.log('✅ WhatsApp client is ready!');
-    isWhatsAppReady = true;
-    reconnectAttempts = 0;
+// Function to deliver a payment notification and record the outcome in the ledger
+async function deliverPaymentNotification(paymentRef) {
+    const paymentData = await claimPaymentNotification(paymentRef);
+    if (!paymentData) {
+        return;
+    }
+    
+    console.log('💰 New payment detected:', paymentData);
+    
+    // Risk checks run once per payment, before the first alert attempt
+    if (!paymentData.riskCheckedAt) {
+        Object.assign(paymentData, await runPaymentChecks(paymentData));
+    }
+    
+    if (!isServerRunning) {
+        await paymentRef.update({
+            notificationStatus: 'held',
+            notificationHeldAt: admin.firestore.Timestamp.now()
+        });
+        console.log(`⏸️ Server paused. Payment ${paymentRef.id} held until "resume".`);
+        return;
+    }
+    
+    paymentData.shortCode = await ensurePaymentShortCode(paymentData);
+    
+    // Telegram, email and webhook alerts don't depend on WhatsApp, so they go out even while it is down
+    // or quiet hours hold the WhatsApp alert for the digest
+    const channelsSent = await sendToChannels('new_payment', paymentData);
     
-    // Process any queued messages
-    if (messageQueue.length > 0) {
-        console.log(`📤 Processing ${messageQueue.length} queued messages...`);
-        for (const queuedMessage of messageQueue) {
-            await sendWhatsAppMessage(queuedMessage);
-            await new Promise(resolve => setTimeout(resolve, 1000)); // 1 second delay between messages
-        }
-        messageQueue = []; // Clear the queue
-        console.log('✅ All queued messages processed');
+    if (quietHoursDigest && isWithinQuietHours()) {
+        await paymentRef.update({
+            notificationStatus: 'digest',
+            notificationQueuedAt: admin.firestore.Timestamp.now()
+        });
+        console.log(`🌙 Quiet hours. Payment ${paymentRef.id} added to the digest.`);
+        return;
     }
     
-    // Show available chats for group ID reference
-    console.log('💡 To send to a WhatsApp group:');
-    console.log('   1. Add this bot to your group');
-    console.log('   2. Send any message in the group');
-    console.log('   3. Check the console for the group ID');
-    console.log('   4. Update WHATSAPP_PHONE_NUMBER in .env with the group ID');
+    const usesWhatsApp = getNotificationChannels().events.new_payment.includes('whatsapp');
     
-    // List available chats to help find groups
-    try {
-        const chats = await client.getChats();
-        console.log('\n📱 Available chats:');
-        chats.forEach(chat => {
-            if (chat.isGroup) {
-                console.log(`   Group: ${chat.name} - ID: ${chat.id._serialized}`);
-            }
+    if (usesWhatsApp && !isWhatsAppReady) {
+        await paymentRef.update({
+            notificationStatus: 'queued',
+            notificationQueuedAt: admin.firestore.Timestamp.now()
         });
-    } catch (error) {
-        console.log('⚠️ Could not fetch chats:', error.message);
-    }
-});
-
-client.on('authenticated', () => {
-    console.log('🔐 WhatsApp authentication successful');
-});
-
-client.on('auth_failure', (msg) => {
-    console.error('❌ WhatsApp authentication failed:', msg);
-});
-
-// Listen for messages to help find group IDs and handle commands
-client.on('message', (message) => {
-    if (message.from.includes('@g.us')) {
-        console.log(`📱 Group message detected! Group ID: ${message.from}`);
-        console.log(`   Group Name: ${message.fromMe ? 'You' : 'Other'}`);
-        console.log(`💡 Copy this Group ID and update your .env file:`);
-        console.log(`   WHATSAPP_PHONE_NUMBER=${message.from}`);
+        console.log(`📝 WhatsApp client not ready. Payment ${paymentRef.id} queued for delivery.`);
+        return;
     }
     
-    // Handle commands
-    handleCommand(message);
-});
-
-client.on('disconnected', (reason) => {
-    console.log('⚠️ WhatsApp client disconnected:', reason);
-    isWhatsAppReady = false;
+    const success = (!usesWhatsApp || await sendWhatsAppMessage(paymentData)) && channelsSent;
     
-    if (reconnectAttempts < maxReconnectAttempts) {
-        reconnectAttempts++;
-        console.log(`🔄 Attempting to reconnect... (${reconnectAttempts}/${maxReconnectAttempts})`);
-        setTimeout(() => {
-            client.initialize();
-        }, 5000);
+    if (success) {
+        await paymentRef.update({
+            notificationStatus: 'sent',
+            notifiedAt: admin.firestore.Timestamp.now()
+        });
+        console.log('✅ Payment notification sent successfully');
     } else {
-        console.error('❌ Max reconnection attempts reached. Please restart the application.');
+        await paymentRef.update({
+            notificationStatus: 'failed',
+            notificationAttempts: admin.firestore.FieldValue.increment(1),
+            notificationFailedAt: admin.firestore.Timestamp.now()
+        });
+        console.log('⚠️ Failed to send payment notification');
     }
-});
+}
 
-// Function to handle WhatsApp commands
-async function handleCommand(message) {
-    const originalMessage = message.body.trim();
-    const messageText = originalMessage.toLowerCase().trim();
-    const chatId = message.from;
-    
-    // Only respond to commands from the configured number/group
-    const configuredNumber = process.env.WHATSAPP_PHONE_NUMBER;
-    if (!configuredNumber || chatId !== configuredNumber) {
-        return;
-    }
-    
+// Function to replay notifications left queued, failed or interrupted by a crash
+async function replayPendingNotifications() {
     try {
-        // Check for payment status command: "status [PAYMENT_ID]" (case-sensitive)
-        const statusMatch = originalMessage.match(/^status\s+([a-zA-Z0-9_-]+)$/i);
-        if (statusMatch) {
-            const paymentId = statusMatch[1]; // Keep original case
-            await handleStatusCheck(paymentId, message);
-            return;
-        }
+        const snapshot = await storeCollection('payments')
+            .where('notificationStatus', 'in', ['queued', 'sending', 'failed'])
+            .get();
         
-        // Check for payment approval command: "[PAYMENT_ID] + approved" (case-sensitive)
-        const approvalMatch = originalMessage.match(/^([a-zA-Z0-9_-]+)\s*\+\s*approved$/i);
-        if (approvalMatch) {
-            const paymentId = approvalMatch[1]; // Keep original case
-            await handlePaymentApproval(paymentId, message);
-            return;
-        }
+        const pendingDocs = snapshot.docs
+            .filter(needsNotification)
+            .sort((a, b) => a.createTime.toMillis() - b.createTime.toMillis());
         
-        // Check for payment rejection command: "[PAYMENT_ID] + rejected" (case-sensitive)
-        const rejectionMatch = originalMessage.match(/^([a-zA-Z0-9_-]+)\s*\+\s*rejected$/i);
-        if (rejectionMatch) {
-            const paymentId = rejectionMatch[1]; // Keep original case
-            await handlePaymentRejection(paymentId, message);
+        if (pendingDocs.length === 0) {
             return;
         }
         
-        switch (messageText) {
-                
-            case 'start':
-            case 'start server':
-                if (!isServerRunning) {
-                    isServerRunning = true;
-                    await message.reply('✅ Server started! Monitoring payments...');
-                    console.log('✅ Server start command received');
-                } else {
-                    await message.reply('ℹ️ Server is already running!');
-                }
-                break;
-                
-            case 'status':
-            case 'server status':
-                const status = isServerRunning ? '🟢 Running' : '🔴 Stopped';
-                const whatsappStatus = isWhatsAppReady ? '🟢 Connected' : '🔴 Disconnected';
-                const queueStatus = messageQueue.length > 0 ? `📝 ${messageQueue.length} queued` : '✅ No queue';
-                await message.reply(`📊 Server Status:\n${status}\nWhatsApp: ${whatsappStatus}\nQueue: ${queueStatus}`);
-                break;
-                
-            case 'help':
-            case 'commands':
-                const helpText = `🤖 Available Commands:
-
-🔧 Server Control:
-• start - Start the server  
-• status - Check server status
-• help - Show this help message
-• ping - Test bot responsiveness
-
-💳 Payment Management:
-• status [PAYMENT_ID] - Check payment status
-• [PAYMENT_ID] + approved - Approve a payment
-• [PAYMENT_ID] + rejected - Reject a payment
-
-📋 Examples:
-• status 5SQE58Q9SezDZLPjTME1
-• 5SQE58Q9SezDZLPjTME1 + approved
-• 5SQE58Q9SezDZLPjTME1 + rejected`;
-                await message.reply(helpText);
-                break;
-                
-            case 'ping':
-                await message.reply('🏓 Pong! Server is alive.');
-                break;
-                
-            default:
-                // Don't respond to random messages, only commands
-                break;
+        console.log(`📤 Replaying ${pendingDocs.length} pending notifications...`);
+        // The send pipeline spaces the alerts out per chat
+        for (const paymentDoc of pendingDocs) {
+            await deliverPaymentNotification(paymentDoc.ref);
         }
+        console.log('✅ All pending notifications processed');
     } catch (error) {
-        console.error('❌ Error handling command:', error.message);
+        console.error('❌ Error replaying pending notifications:', error.message);
     }
 }
 
-// Function to check payment status
-async function handleStatusCheck(paymentId, message) {
-    try {
-        console.log(`🔍 Checking status for payment ID: ${paymentId}`);
-        
-        const paymentDoc = await db.collection('payments').doc(paymentId).get();
-        
-        if (!paymentDoc.exists) {
-            await message.reply(`❌ Payment ID "${paymentId}" not found in database.`);
+// Function to run a batch of deliveries (new payments or a replay) for the current store once the
+// batches before it are done, so the listener and the replay never work on the same payments at once
+function queueStoreDeliveries(task) {
+    const monitor = getStore().monitor;
+    const run = monitor.deliveries.then(task);
+    monitor.deliveries = run.catch(() => {});
+    return run;
+}
+
+// Function to keep retrying failed and stalled ('sending' past its claim timeout) notifications
+// while WhatsApp stays connected; reconnects replay them too
+function startReplayWatcher() {
+    setInterval(() => {
+        if (!isWhatsAppReady || !isServerRunning) {
             return;
         }
-        
-        const paymentData = paymentDoc.data();
-        const status = paymentData.status || 'pending';
-        const needsVerification = paymentData.needsManualVerification || false;
-        const reviewedAt = paymentData.reviewedAt ? 
-            new Date(paymentData.reviewedAt._seconds * 1000).toLocaleString() : 'Not reviewed';
-        
-        // Extract variant info - try document level first, then orderItems array
-        let variantInfo = 'N/A';
-        if (paymentData.variant && paymentData.variant.label) {
-            variantInfo = `${paymentData.variant.label} (Rs ${paymentData.variant.price || 'N/A'})`;
-        } else if (paymentData.orderItems && paymentData.orderItems[0] && paymentData.orderItems[0].variant) {
-            const variant = paymentData.orderItems[0].variant;
-            variantInfo = `${variant.label || 'N/A'} (Rs ${variant.price || 'N/A'})`;
-        }
-            
-        const statusMessage = `📊 Payment Status Report
+        forEachStore(() => queueStoreDeliveries(replayPendingNotifications));
+    }, replayIntervalMs);
+}
 
-Payment ID: ${paymentId}
-Customer: ${paymentData.fullName || paymentData.customerName || 'N/A'}
-Amount: ${paymentData.orderTotal || 'N/A'}
-Variant: ${variantInfo}
-Status: ${status.toUpperCase()}
-Needs Verification: ${needsVerification ? 'Yes' : 'No'}
-Reviewed At: ${reviewedAt}
-Payment Method: ${paymentData.paymentMethod || 'N/A'}
+// Function to add up a per-store count (e.g. countQueuedNotifications) over every store
+async function countInAllStores(counter) {
+    let total = 0;
+    for (const store of getStores()) {
+        total += await runInStore(store, counter);
+    }
+    return total;
+}
 
-💡 To approve: Send "${paymentId} + approved"`;
-        
-        await message.reply(statusMessage);
-        console.log(`✅ Status check completed for payment: ${paymentId}`);
-        
+// Function to count notifications waiting for WhatsApp
+async function countQueuedNotifications() {
+    try {
+        const snapshot = await storeCollection('payments')
+            .where('notificationStatus', '==', 'queued')
+            .count()
+            .get();
+        return snapshot.data().count;
     } catch (error) {
-        console.error('❌ Error checking payment status:', error.message);
-        await message.reply('❌ Error checking payment status. Please try again.');
+        console.error('❌ Error counting queued notifications:', error.message);
+        return 0;
     }
 }
 
-// Function to handle payment approval
-async function handlePaymentApproval(paymentId, message) {
-    try {
-        console.log(`✅ Processing approval for payment ID: ${paymentId}`);
-        
-        const paymentRef = db.collection('payments').doc(paymentId);
-        const paymentDoc = await paymentRef.get();
-        
-        if (!paymentDoc.exists) {
-            await message.reply(`❌ Payment ID "${paymentId}" not found in database.`);
-            return;
-        }
-        
-        const paymentData = paymentDoc.data();
-        const currentStatus = paymentData.status || 'pending';
-        
-        if (currentStatus === 'approved') {
-            await message.reply(`ℹ️ Payment "${paymentId}" is already approved.`);
-            return;
+// Function to record `status: 'pending'` on a payment written without a status, so the status
+// queries (pending, reminders, escalation) find it like every other unreviewed payment
+async function backfillPaymentStatus(paymentRef) {
+    await getStore().db.runTransaction(async (transaction) => {
+        const paymentDoc = await transaction.get(paymentRef);
+        if (paymentDoc.exists && !paymentDoc.data().status) {
+            transaction.update(paymentRef, { status: 'pending' });
         }
-        
-        // Update payment status in database
-        await paymentRef.update({
-            status: 'approved',
-            needsManualVerification: false,
-            reviewedAt: new Date(),
-            approvedBy: 'WhatsApp Bot',
-            approvedAt: new Date()
-        });
-        
-        const approvalMessage = `✅ Payment Approved Successfully!
-
-Payment ID: ${paymentId}
-Customer: ${paymentData.fullName || 'N/A'}
-Amount: ${paymentData.orderTotal || 'N/A'}
-Status: APPROVED ✅
-Approved At: ${new Date().toLocaleString()}
-Approved By: WhatsApp Bot
+    });
+}
 
-The payment has been updated in the database.`;
-        
-        await message.reply(approvalMessage);
-        console.log(`✅ Payment ${paymentId} approved successfully`);
-        
-    } catch (error) {
-        console.error('❌ Error approving payment:', error.message);
-        await message.reply('❌ Error approving payment. Please try again.');
+// Function to process a batch of newly added payments in creation order
+async function processAddedPayments(paymentDocs) {
+    const sortedDocs = [...paymentDocs].sort((a, b) => a.createTime.toMillis() - b.createTime.toMillis());
+    let settledUpTo = null;
+    
+    for (const paymentDoc of sortedDocs) {
+        try {
+            if (!paymentDoc.data().status) {
+                await backfillPaymentStatus(paymentDoc.ref);
+            }
+            if (needsNotification(paymentDoc)) {
+                await deliverPaymentNotification(paymentDoc.ref);
+            }
+            settledUpTo = paymentDoc.createTime;
+        } catch (error) {
+            // Stop advancing the checkpoint so this payment is picked up again on restart
+            console.error(`❌ Error processing payment ${paymentDoc.id}:`, error.message);
+            break;
+        }
+    }
+    
+    if (settledUpTo) {
+        await saveMonitorCheckpoint(settledUpTo);
     }
 }
 
-// Function to handle payment rejection
-async function handlePaymentRejection(paymentId, message) {
+// Function to start monitoring a store's payments in Firestore (default: the current store)
+async function startFirestoreMonitoring(store = getStore()) {
+    const monitor = store.monitor;
+    monitor.retryTimer = null;
+    console.log(`🔍 Starting Firestore monitoring for "${store.collections.payments}" collection${getStores().length > 1 ? ` (${store.id})` : ''}...`);
+    
+    // Never keep more than one listener per store: drop the previous one before subscribing again
+    stopFirestoreMonitoring(store);
+    
     try {
-        console.log(`❌ Processing rejection for payment ID: ${paymentId}`);
-        
-        const paymentRef = db.collection('payments').doc(paymentId);
-        const paymentDoc = await paymentRef.get();
-        
-        if (!paymentDoc.exists) {
-            await message.reply(`❌ Payment ID "${paymentId}" not found in database.`);
-            return;
-        }
+        monitor.checkpoint = await runInStore(store, loadMonitorCheckpoint);
+    } catch (error) {
+        console.error('❌ Error loading monitor checkpoint:', error.message);
+        scheduleFirestoreMonitoringRetry(store);
+        return;
+    }
+    
+    const paymentsRef = storeCollection('payments', store);
+    
+    // Listen for new documents
+    monitor.unsubscribe = paymentsRef.onSnapshot((snapshot) => {
+        monitor.retryAttempt = 0;
         
-        const paymentData = paymentDoc.data();
-        const currentStatus = paymentData.status || 'pending';
+        const addedDocs = snapshot.docChanges()
+            .filter(change => change.type === 'added')
+            .map(change => change.doc);
         
-        if (currentStatus === 'rejected') {
-            await message.reply(`ℹ️ Payment "${paymentId}" is already rejected.`);
+        if (addedDocs.length === 0) {
             return;
         }
         
-        // Update payment status in database
-        await paymentRef.update({
-            status: 'rejected',
-            needsManualVerification: false,
-            reviewedAt: new Date(),
-            rejectedBy: 'WhatsApp Bot',
-            rejectedAt: new Date()
+        runInStore(store, () => queueStoreDeliveries(() => processAddedPayments(addedDocs))).catch((error) => {
+            console.error('❌ Error processing new payments:', error.message);
         });
-        
-        const rejectionMessage = `❌ Payment Rejected Successfully!
+    }, (error) => {
+        console.error('❌ Error monitoring Firestore:', error);
+        stopFirestoreMonitoring(store);
+        scheduleFirestoreMonitoringRetry(store);
+    });
+}
 
-Payment ID: ${paymentId}
-Customer: ${paymentData.fullName || 'N/A'}
-Amount: ${paymentData.orderTotal || 'N/A'}
-Status: REJECTED ❌
-Rejected At: ${new Date().toLocaleString()}
-Rejected By: WhatsApp Bot
+// Function to detach a store's payments listener, if any
+function stopFirestoreMonitoring(store = getStore()) {
+    if (store.monitor.unsubscribe) {
+        store.monitor.unsubscribe();
+        store.monitor.unsubscribe = null;
+    }
+}
 
-The payment has been updated in the database.`;
-        
-        await message.reply(rejectionMessage);
-        console.log(`❌ Payment ${paymentId} rejected successfully`);
-        
-    } catch (error) {
-        console.error('❌ Error rejecting payment:', error.message);
-        await message.reply('❌ Error rejecting payment. Please try again.');
+// Function to restart a store's Firestore monitoring with backoff; a retry already pending is reused
+function scheduleFirestoreMonitoringRetry(store) {
+    const monitor = store.monitor;
+    if (monitor.retryTimer) {
+        return;
     }
+    
+    const delay = getBackoffDelay(monitor.retryAttempt);
+    monitor.retryAttempt++;
+    console.log(`🔄 Retrying Firestore monitoring in ${Math.round(delay / 1000)}s...`);
+    monitor.retryTimer = setTimeout(() => startFirestoreMonitoring(store), delay);
 }
 
-// Function to send WhatsApp message
-async function sendWhatsAppMessage(paymentData) {
-    if (!isWhatsAppReady) {
-        console.log('⚠️ WhatsApp client not ready. Message will be queued.');
-        messageQueue.push(paymentData);
-        console.log(`📝 Message queued. Queue size: ${messageQueue.length}`);
+// Function to check the admin API token from "Authorization: Bearer ..." or ?token=
+function isAuthorizedRequest(req, url) {
+    const apiToken = process.env.ADMIN_API_TOKEN;
+    if (!apiToken) {
         return false;
     }
+    
+    const header = req.headers.authorization || '';
+    const provided = header.startsWith('Bearer ') ? header.slice(7) : url.searchParams.get('token') || '';
+    const expected = Buffer.from(apiToken);
+    const actual = Buffer.from(provided);
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
 
-    try {
-        const phoneNumber = process.env.WHATSAPP_PHONE_NUMBER;
-        if (!phoneNumber) {
-            console.error('❌ WhatsApp phone number/group ID not configured in environment variables');
-            return false;
-        }
-        
-        console.log(`📤 Sending message to: ${phoneNumber}`);
+// Function to send a JSON response
+function sendJson(res, statusCode, body) {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
 
-        // Format the message with payment details
-        const message = formatPaymentMessage(paymentData);
-        
-        // Send the message
-        await client.sendMessage(phoneNumber, message);
-        console.log('✅ WhatsApp message sent successfully');
-        return true;
+// Function to read a small JSON request body
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.on('data', (chunk) => {
+            body += chunk;
+            if (body.length > 10 * 1024) {
+                reject(new Error('Request body too large'));
+                req.destroy();
+            }
+        });
+        req.on('end', () => {
+            try {
+                resolve(body ? JSON.parse(body) : {});
+            } catch (error) {
+                reject(new Error('Invalid JSON body'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+// Function to check that Firestore answers within a few seconds
+async function checkFirestoreHealth() {
+    try {
+        await Promise.race([
+            Promise.all(getStores().map(store => storeCollection('notifierState', store).doc('paymentsMonitor').get())),
+            new Promise((resolve, reject) => setTimeout(() => reject(new Error('Timed out')), 5000))
+        ]);
+        return { ok: true };
     } catch (error) {
-        console.error('❌ Error sending WhatsApp message:', error.message);
-        return false;
+        return { ok: false, error: error.message };
     }
 }
 
-// Function to format payment message
-function formatPaymentMessage(paymentData) {
-    
-    // Extract variant details - try document level first, then orderItems array
-    let variantLabel = 'N/A';
-    let variantPrice = 'N/A';
-    
-    if (paymentData.variant && paymentData.variant.label) {
-        // Variant at document level
-        variantLabel = paymentData.variant.label;
-        variantPrice = paymentData.variant.price || 'N/A';
-    } else if (paymentData.orderItems && paymentData.orderItems[0] && paymentData.orderItems[0].variant) {
-        // Variant in orderItems array
-        variantLabel = paymentData.orderItems[0].variant.label || 'N/A';
-        variantPrice = paymentData.orderItems[0].variant.price || 'N/A';
-    }
-    
-    // Extract product details - try multiple possible locations
-    const productName = paymentData.productName || 
-                       (paymentData.orderItems && paymentData.orderItems[0] && paymentData.orderItems[0].name) ||
-                       'N/A';
-    
-    // Extract price - try multiple possible locations including orderTotal
-    let productPrice = 'N/A';
-    if (paymentData.orderTotal) {
-        // Extract number from "Rs 25.00" format
-        const priceMatch = paymentData.orderTotal.match(/(\d+(?:\.\d+)?)/);
-        productPrice = priceMatch ? priceMatch[1] : paymentData.orderTotal;
-    } else if (paymentData.productPrice) {
-        productPrice = paymentData.productPrice;
-    } else if (variantPrice && variantPrice !== 'N/A') {
-        productPrice = variantPrice;
-    } else if (paymentData.orderItems && paymentData.orderItems[0] && paymentData.orderItems[0].price) {
-        productPrice = paymentData.orderItems[0].price;
-    }
-    
-    // Extract extra fields - try multiple possible locations
-    let extraFieldsText = 'N/A';
-    if (paymentData.extraFields && paymentData.extraFields.length > 0) {
-        extraFieldsText = paymentData.extraFields.map(field => `${field.label}: ${field.value}`).join(', ');
-    } else if (paymentData.orderItems && paymentData.orderItems.length > 0 && paymentData.orderItems[0].extraFields) {
-        const extraFields = paymentData.orderItems[0].extraFields;
-        if (extraFields.length > 0) {
-            extraFieldsText = extraFields.map(field => `${field.label}: ${field.value}`).join(', ');
-        }
-    }
-    
-    const paymentMethod = paymentData.paymentMethod || 'N/A';
-    const fullName = paymentData.fullName || paymentData.customerName || 'N/A';
-    const phone = paymentData.phone || 'N/A';
-    const email = paymentData.email || 'N/A';
-    const paymentId = paymentData.id || paymentData.paymentId || 'N/A'; // Document ID is the primary payment ID
-    
-    // Format timestamp - try multiple possible locations
-    let timestamp = new Date().toLocaleString();
-    if (paymentData.createdAt && paymentData.createdAt._seconds) {
-        timestamp = new Date(paymentData.createdAt._seconds * 1000).toLocaleString();
-    } else if (paymentData.timestamp && paymentData.timestamp.seconds) {
-        timestamp = new Date(paymentData.timestamp.seconds * 1000).toLocaleString();
-    } else if (paymentData.timestamp && paymentData.timestamp._seconds) {
-        timestamp = new Date(paymentData.timestamp._seconds * 1000).toLocaleString();
-    }
-    
-    // Create message with all requested details
-    const message = `
-    New Order Alert! 💰
-
-Customer Name: ${fullName}
-Phone: ${phone}
-Email: ${email}
-Product Name: ${productName}
-Price: Rs ${productPrice}
-Variant: ${variantLabel} 
-Extra Fields: ${extraFieldsText}
-Payment Method: ${paymentMethod}
-Time: ${timestamp}
-
-Check Screenshot at: https://cgaph.com/admin.html`;
-    
-    return message;
-}
-
-// Function to start monitoring Firestore
-function startFirestoreMonitoring() {
-    console.log('🔍 Starting Firestore monitoring for "payments" collection...');
-    
-    const paymentsRef = db.collection('payments');
+// Function to handle GET /healthz
+async function handleHealthRequest(res) {
+    const firestore = await checkFirestoreHealth();
+    const whatsapp = { ready: isWhatsAppReady, waitingForQrScan: Boolean(latestQr) };
     
-    // Listen for new documents
-    paymentsRef.onSnapshot((snapshot) => {
-        // Only process if server is running
-        if (!isServerRunning) {
+    // WhatsApp only counts when asked to, so the platform doesn't restart the bot while it waits for a QR scan
+    const healthy = firestore.ok && (isWhatsAppReady || process.env.HEALTHZ_REQUIRE_WHATSAPP !== 'true');
+    sendJson(res, healthy ? 200 : 503, { status: healthy ? 'ok' : 'unhealthy', whatsapp, firestore });
+}
+
+// Function to handle GET /qr
+async function handleQrRequest(res) {
+    if (!latestQr) {
+        sendJson(res, 404, { error: isWhatsAppReady ? 'WhatsApp is already connected' : 'No QR code available yet' });
+        return;
+    }
+    
+    const png = await QRCode.toBuffer(latestQr, { type: 'png', width: 320, margin: 2 });
+    res.writeHead(200, { 'Content-Type': 'image/png', 'Cache-Control': 'no-store' });
+    res.end(png);
+}
+
+// Function to handle GET /status
+async function handleStatusRequest(res) {
+    sendJson(res, 200, {
+        serverRunning: isServerRunning,
+        whatsappReady: isWhatsAppReady,
+        waitingForQrScan: Boolean(latestQr),
+        whatsappDownSince: connectionState.downSince ? new Date(connectionState.downSince).toISOString() : null,
+        reconnectAttempts: connectionState.attempt,
+        queuedNotifications: await countInAllStores(countQueuedNotifications),
+        uptimeSeconds: Math.round(process.uptime())
+    });
+}
+
+// Function to handle POST /payments/:id/approve|reject with the same logic as the WhatsApp commands
+async function handlePaymentActionRequest(req, res, url, paymentId, action) {
+    const body = await readJsonBody(req);
+    const targetStatus = action === 'approve' ? 'approved' : 'rejected';
+    const reason = typeof body.reason === 'string' && body.reason.trim() ? body.reason.trim() : null;
+    
+    if (REASON_REQUIRED_STATUSES.includes(targetStatus) && !reason) {
+        sendJson(res, 400, { error: 'A reason is required to reject a payment' });
+        return;
+    }
+    
+    const sender = {
+        id: 'api',
+        number: body.actorNumber ? normalizeWhatsAppNumber(body.actorNumber) : null,
+        name: body.actorName || 'Admin API',
+        role: 'admin'
+    };
+    
+    // The payment's store: ?store= or "store" in the body, otherwise the store holding the payment
+    const storeId = url.searchParams.get('store') || body.store;
+    let store = storeId ? findStore(storeId) : null;
+    if (storeId && !store) {
+        sendJson(res, 404, { error: `Unknown store "${storeId}"` });
+        return;
+    }
+    if (!store) {
+        const found = getStores().length > 1 ? await findPaymentStores(paymentId) : [];
+        if (found.length > 1) {
+            sendJson(res, 409, { error: 'The payment exists in several stores. Pass ?store=ID.', stores: found.map(candidate => candidate.id) });
+            return;
+        }
+        store = found[0] || getPrimaryStore();
+    }
+    
+    const replies = [];
+    const responder = { channel: 'api', reply: async (text) => { replies.push(text); } };
+    const result = await runInStore(store, () => (targetStatus === 'approved'
+        ? handlePaymentApproval(paymentId, responder, sender, reason)
+        : handlePaymentRejection(paymentId, responder, sender, reason)));
+    
+    if (!result) {
+        sendJson(res, 500, { error: 'Error updating payment', messages: replies });
+        return;
+    }
+    
+    const statusCodes = { changed: 200, unchanged: 200, not_found: 404, invalid: 409 };
+    sendJson(res, statusCodes[result.outcome] || 500, {
+        paymentId,
+        store: store.id,
+        outcome: result.outcome,
+        status: result.outcome === 'changed' ? targetStatus : result.fromStatus || null,
+        messages: replies
+    });
+}
+
+// Function to route admin HTTP requests
+async function handleHttpRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    
+    try {
+        if (req.method === 'GET' && url.pathname === '/healthz') {
+            await handleHealthRequest(res);
             return;
         }
         
-        snapshot.docChanges().forEach((change) => {
-            if (change.type === 'added') {
-                const paymentData = {
-                    id: change.doc.id,
-                    ...change.doc.data()
-                };
-                
-                console.log('💰 New payment detected:', paymentData);
-                
-                // Send WhatsApp notification
-                sendWhatsAppMessage(paymentData).then((success) => {
-                    if (success) {
-                        console.log('✅ Payment notification sent successfully');
-                    } else {
-                        console.log('⚠️ Failed to send payment notification');
-                    }
-                });
-            }
-        });
-    }, (error) => {
-        console.error('❌ Error monitoring Firestore:', error);
-        console.log('🔄 Retrying in 10 seconds...');
-        setTimeout(startFirestoreMonitoring, 10000);
+        if (req.method === 'GET' && url.pathname === '/status') {
+            await handleStatusRequest(res);
+            return;
+        }
+        
+        if (!isAuthorizedRequest(req, url)) {
+            sendJson(res, 401, { error: 'Unauthorized' });
+            return;
+        }
+        
+        if (req.method === 'GET' && url.pathname === '/qr') {
+            await handleQrRequest(res);
+            return;
+        }
+        
+        const actionMatch = url.pathname.match(/^\/payments\/([a-zA-Z0-9_-]+)\/(approve|reject)$/);
+        if (req.method === 'POST' && actionMatch) {
+            await handlePaymentActionRequest(req, res, url, actionMatch[1], actionMatch[2]);
+            return;
+        }
+        
+        sendJson(res, 404, { error: 'Not found' });
+    } catch (error) {
+        console.error('❌ Error handling HTTP request:', error.message);
+        sendJson(res, 500, { error: error.message });
+    }
+}
+
+// Function to start the admin HTTP server on PORT
+function startHttpServer() {
+    const port = parseInt(process.env.PORT, 10) || 3000;
+    
+    if (!process.env.ADMIN_API_TOKEN) {
+        console.log('⚠️ ADMIN_API_TOKEN not set. /qr and the payment endpoints are disabled.');
+    }
+    
+    http.createServer((req, res) => {
+        handleHttpRequest(req, res);
+    }).listen(port, () => {
+        console.log(`🌐 Admin HTTP server listening on port ${port}`);
     });
 }
 
 // Graceful shutdown
 process.on('SIGINT', () => {
     console.log('\n🛑 Shutting down gracefully...');
-    client.destroy();
+    getStores().forEach(stopFirestoreMonitoring);
+    if (client) {
+        client.destroy();
+    }
     process.exit(0);
 });
 
 process.on('SIGTERM', () => {
     console.log('\n🛑 Shutting down gracefully...');
-    client.destroy();
+    getStores().forEach(stopFirestoreMonitoring);
+    if (client) {
+        client.destroy();
+    }
     process.exit(0);
 });
 
+// Function to plug in the payment sources, messaging transport and notification channels (see lib/adapters/).
+// `db` is a Firestore-compatible database for every store, `stores` maps store IDs to their own
+// databases, `createTransport` returns a new WhatsApp-like client, and `channels` ({ telegram, email,
+// webhook }, any of them) replaces the channels configured in the environment.
+function useAdapters(adapters = {}) {
+    if (adapters.db) {
+        getStores().forEach((store) => {
+            store.db = adapters.db;
+        });
+    }
+    for (const [storeId, storeDb] of Object.entries(adapters.stores || {})) {
+        const store = findStore(storeId);
+        if (!store) {
+            throw new Error(`Unknown store "${storeId}"`);
+        }
+        store.db = storeDb;
+    }
+    if (adapters.channels) {
+        notificationChannels = loadNotificationChannels(adapters.channels);
+    }
+    if (adapters.createTransport) {
+        createTransport = adapters.createTransport;
+    }
+}
+
 // Start the application
-async function startApp() {
+// Options: { db, stores, createTransport, channels } adapters (default: Firestore and WhatsApp Web), httpServer (default: true)
+async function startApp(options = {}) {
+    useAdapters(options);
+    initializeStoreDatabases();
+    
     console.log('🚀 Starting Firebase-WhatsApp Order Notifier...');
     console.log('📋 Configuration:');
-    console.log(`   - Firebase Project: ${process.env.FIREBASE_PROJECT_ID || 'Not set'}`);
     console.log(`   - WhatsApp Number: ${process.env.WHATSAPP_PHONE_NUMBER || 'Not set'}`);
-    console.log('   - Monitoring Collection: payments');
+    if (process.env.STORES_FILE) {
+        for (const store of getStores()) {
+            console.log(`   - Store ${store.id}: ${store.name || store.id}, collection "${store.collections.payments}"`);
+        }
+    } else {
+        console.log(`   - Firebase Project: ${process.env.FIREBASE_PROJECT_ID || 'Not set'}`);
+        console.log(`   - Alert Routing: ${process.env.ROUTING_FILE || 'All alerts to WhatsApp Number'}`);
+        console.log(`   - Monitoring Collection: ${getPrimaryStore().collections.payments}`);
+    }
     console.log('');
     
-    // Initialize WhatsApp client with retry logic
-    console.log('📱 Initializing WhatsApp client...');
-    let retryCount = 0;
-    const maxRetries = 3;
+    // Serve health checks and the login QR while WhatsApp starts up
+    if (options.httpServer !== false) {
+        startHttpServer();
+    }
     
-    while (retryCount < maxRetries) {
-        try {
-            await client.initialize();
-            break;
-        } catch (error) {
-            retryCount++;
-            console.log(`⚠️ Attempt ${retryCount} failed: ${error.message}`);
-            if (retryCount < maxRetries) {
-                console.log(`🔄 Retrying in 5 seconds... (${retryCount}/${maxRetries})`);
-                await new Promise(resolve => setTimeout(resolve, 5000));
-            } else {
-                console.log('❌ Max retries reached. Please check your internet connection and try again.');
-                throw error;
-            }
-        }
+    if (!options.createTransport) {
+        cleanupStaleSessions(getPrimaryStore().db, getPrimaryStore().app);
+    }
+    
+    isServerRunning = await loadServerRunning();
+    if (!isServerRunning) {
+        console.log('⏸️ Server is paused. New payments are held until "resume".');
     }
     
-    // Start monitoring Firestore after a short delay
+    // Start WhatsApp; the supervisor keeps rebuilding the client with backoff if it fails
+    await restartWhatsAppClient();
+    startOutageWatcher();
+    startReplayWatcher();
+    
+    // Start monitoring every store's payments after a short delay
     setTimeout(() => {
-        startFirestoreMonitoring();
+        getStores().forEach(startFirestoreMonitoring);
     }, 2000);
+    
+    startReportScheduler();
+    startReminderWatcher();
+    startDigestWatcher();
+    startTelegramPolling();
 }
 
-// Start the application
-startApp().catch((error) => {
-    console.error('❌ Failed to start application:', error);
-    process.exit(1);
-});
+// Start the application when run directly; scripts/ and tests start it with their own adapters
+if (require.main === module) {
+    startApp().catch((error) => {
+        console.error('❌ Failed to start application:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    startApp,
+    useAdapters,
+    initializeStoreDatabases,
+    getStores,
+    findStore,
+    runInStore,
+    handleCommand,
+    handleTelegramUpdate,
+    formatPaymentMessage,
+    renderMessage,
+    transitionPayment,
+    startFirestoreMonitoring,
+    stopFirestoreMonitoring,
+    parseReportRange,
+    parseExportArgs,
+    parseTimeWindow,
+    toCustomerChatId,
+    resolveAlertChats,
+    checkScreenshotUrl,
+    normalizePayment,
+    createPaymentExport
+};
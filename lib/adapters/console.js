@@ -0,0 +1,145 @@
+// Messaging transport for offline simulation: prints what the bot sends and turns lines typed on
+// stdin into WhatsApp messages from one chat and sender (see lib/adapters/whatsapp.js for the interface).
+//
+// Typed lines:
+//   <command>            - e.g. "pending", "#A7K2 + approved", "help"
+//   @<n> <text>          - reply to (quote) sent message number n, e.g. "@1 approve"
+//   /from <number>       - send the next lines as another WhatsApp number
+//   /wait <seconds>      - pause before reading the next line (for piped scripts)
+//   /quit                - stop the simulation
+const EventEmitter = require('events');
+const readline = require('readline');
+
+// Function to create a console transport.
+// Options: chatId (the simulated group), author (sender number), input/output streams, and
+// echo (print sent messages, default true). Every sent message is also kept in `transport.sent`.
+function createConsoleTransport(options = {}) {
+    const transport = new EventEmitter();
+    const chatId = options.chatId || 'simulator@g.us';
+    const input = options.input || process.stdin;
+    const output = options.output || process.stdout;
+    const echo = options.echo !== false;
+    let author = options.author || '9779800000000';
+    let lineReader = null;
+    let lineQueue = Promise.resolve(); // Lines are handled in order so /wait holds back the rest
+    
+    transport.sent = []; // [{ number, chatId, body, media, options }]
+    
+    // Function to describe sent content: text, or a media attachment with its caption
+    const describe = (content, sendOptions = {}) => {
+        if (typeof content === 'string') {
+            return content;
+        }
+        const size = Math.round(Buffer.byteLength(content.data || '', 'base64') / 1024);
+        const attachment = `📎 [${content.filename || 'attachment'} - ${content.mimetype}, ${size} KB]`;
+        return sendOptions.caption ? `${attachment}\n${sendOptions.caption}` : attachment;
+    };
+    
+    transport.sendMessage = async (targetChatId, content, sendOptions = {}) => {
+        const number = transport.sent.length + 1;
+        const body = describe(content, sendOptions);
+        const sentMessage = {
+            id: { _serialized: `sim-${number}` },
+            body,
+            from: targetChatId,
+            fromMe: true
+        };
+        
+        transport.sent.push({
+            number,
+            chatId: targetChatId,
+            body,
+            media: typeof content === 'string' ? null : content,
+            options: sendOptions,
+            message: sentMessage
+        });
+        if (echo) {
+            output.write(`\n📤 #${number} to ${targetChatId}:\n${body}\n\n`);
+        }
+        return sentMessage;
+    };
+    
+    // Function to build an incoming message as if `author` had typed it in the chat
+    transport.createMessage = (body, messageOptions = {}) => {
+        const quoted = messageOptions.quotedNumber
+            ? transport.sent.find(entry => entry.number === messageOptions.quotedNumber)
+            : null;
+        const sender = messageOptions.author || author;
+        
+        return {
+            id: { _serialized: `sim-in-${Date.now()}-${Math.random().toString(36).slice(2, 8)}` },
+            body,
+            from: messageOptions.chatId || chatId,
+            author: `${sender}@c.us`,
+            fromMe: false,
+            hasQuotedMsg: Boolean(quoted),
+            getQuotedMsg: async () => (quoted ? quoted.message : null),
+            getContact: async () => ({ number: sender, pushname: 'Simulator' }),
+            reply: (content, replyChatId, sendOptions) => transport.sendMessage(replyChatId || messageOptions.chatId || chatId, content, sendOptions)
+        };
+    };
+    
+    // Function to turn a typed line into a message event
+    const handleLine = async (line) => {
+        const text = line.trim();
+        if (!text) {
+            return;
+        }
+        
+        if (text === '/quit') {
+            transport.emit('quit');
+            return;
+        }
+        
+        const waitMatch = text.match(/^\/wait\s+(\d+(?:\.\d+)?)$/);
+        if (waitMatch) {
+            await new Promise(resolve => setTimeout(resolve, parseFloat(waitMatch[1]) * 1000));
+            return;
+        }
+        
+        const fromMatch = text.match(/^\/from\s+\+?(\d+)$/);
+        if (fromMatch) {
+            author = fromMatch[1];
+            output.write(`👤 Now sending as +${author}\n`);
+            return;
+        }
+        
+        const quoteMatch = text.match(/^@(\d+)\s+([\s\S]+)$/);
+        const message = quoteMatch
+            ? transport.createMessage(quoteMatch[2], { quotedNumber: parseInt(quoteMatch[1], 10) })
+            : transport.createMessage(text);
+        transport.emit('message', message);
+    };
+    
+    transport.initialize = async () => {
+        transport.emit('authenticated');
+        lineReader = readline.createInterface({ input, terminal: false });
+        lineReader.on('line', (line) => {
+            lineQueue = lineQueue.then(() => handleLine(line));
+        });
+        lineReader.on('close', () => {
+            lineQueue = lineQueue.then(() => transport.emit('quit'));
+        });
+        setImmediate(() => transport.emit('ready'));
+    };
+    
+    transport.destroy = async () => {
+        if (lineReader) {
+            lineReader.removeAllListeners('close'); // Closing on purpose is not a /quit
+            lineReader.close();
+            lineReader = null;
+        }
+    };
+    
+    transport.getNumberId = async number => ({ _serialized: `${String(number).replace(/\D/g, '')}@c.us` });
+    
+    transport.getChats = async () => [{
+        isGroup: chatId.endsWith('@g.us'),
+        name: 'Simulator',
+        id: { _serialized: chatId }
+    }];
+    
+    return transport;
+}
+
+module.exports = { createConsoleTransport };
@@ -0,0 +1,51 @@
+// Payment source backed by the real Firestore database (the default outside simulation)
+const path = require('path');
+const admin = require('firebase-admin');
+
+// Function to initialize a Firebase app and return its Firestore database.
+// Without options this is the bot's own app (FIREBASE_SERVICE_ACCOUNT or firebase-service-account.json);
+// a store passes { name, serviceAccountFile or serviceAccountEnv, projectId, storageBucket } for its own app.
+function initializeFirestore(options = {}) {
+    const existingApp = admin.apps.find(app => app.name === (options.name || '[DEFAULT]'));
+    if (existingApp) {
+        return admin.firestore(existingApp);
+    }
+    
+    try {
+        let serviceAccount;
+        
+        if (options.serviceAccountEnv) {
+            serviceAccount = JSON.parse(process.env[options.serviceAccountEnv]);
+            console.log(`✅ Using Firebase service account for ${options.name} from ${options.serviceAccountEnv}`);
+        } else if (options.serviceAccountFile) {
+            serviceAccount = require(path.resolve(options.serviceAccountFile));
+            console.log(`✅ Using Firebase service account for ${options.name} from ${options.serviceAccountFile}`);
+        } else if (process.env.FIREBASE_SERVICE_ACCOUNT) {
+            // Check if we have the service account as an environment variable (for cloud deployment)
+            serviceAccount = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT);
+            console.log('✅ Using Firebase service account from environment variable');
+        } else {
+            // Fallback to file (for local development)
+            serviceAccount = require(path.join(__dirname, '..', '..', 'firebase-service-account.json'));
+            console.log('✅ Using Firebase service account from file');
+        }
+        
+        // A named (store) app is configured by its options alone; the bot's own app also reads FIREBASE_*
+        const app = admin.initializeApp({
+            credential: admin.credential.cert(serviceAccount),
+            projectId: options.projectId || (options.name ? null : process.env.FIREBASE_PROJECT_ID) || serviceAccount.project_id,
+            storageBucket: options.storageBucket || (options.name ? null : process.env.FIREBASE_STORAGE_BUCKET) || undefined
+        }, options.name);
+        console.log(`✅ Firebase Admin SDK initialized successfully${options.name ? ` for ${options.name}` : ''}`);
+        return admin.firestore(app);
+    } catch (error) {
+        console.error(`❌ Error initializing Firebase Admin SDK${options.name ? ` for ${options.name}` : ''}:`, error.message);
+        console.log('Please make sure you have:');
+        console.log('1. Set FIREBASE_SERVICE_ACCOUNT environment variable (for cloud deployment)');
+        console.log('2. OR downloaded your Firebase service account key file');
+        console.log('3. Set FIREBASE_PROJECT_ID environment variable');
+        process.exit(1);
+    }
+}
+
+module.exports = { initializeFirestore };
@@ -0,0 +1,432 @@
+// Payment source backed by JSON fixtures: an in-memory stand-in for the Firestore API the bot uses
+// (collections, documents, where/orderBy/limit queries, count(), onSnapshot, transactions,
+// batches and the admin.firestore FieldValue/Timestamp helpers). Nothing is written to disk.
+//
+// A fixture file maps collection names to documents, either as an array (each with an optional `id`)
+// or as an { id: data } object. A plain array is taken as the `payments` collection:
+//
+//   { "payments": [{ "id": "pay1", "fullName": "Ram", "orderTotal": "Rs 500", "status": "pending",
+//                    "createdAt": "2026-10-01T10:00:00+05:45" }],
+//     "codeStock": [{ "product": "PUBG UC", "variant": "60 UC", "code": "X1", "status": "available" }] }
+//
+// ISO date-time strings become Timestamps. A document with `_delaySeconds` is added that many seconds
+// after loading, like an order arriving while the bot runs. Unless a fixture sets it, the monitor
+// checkpoint starts at 1970 so every fixture payment without a `notificationStatus` counts as new.
+const fs = require('fs');
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+
+const { Timestamp } = admin.firestore;
+const ISO_DATE_TIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?$/;
+const AUTO_ID_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+const DELETE_FIELD = Symbol('delete'); // Result of FieldValue.delete()
+
+// Function to create an empty in-memory database
+function createFixtureStore() {
+    const documents = new Map(); // path -> { data, createTime, updateTime }
+    const listeners = new Set();
+    
+    // Function to make a random 20-character document ID like Firestore's
+    const autoId = () => Array.from(crypto.randomBytes(20), byte => AUTO_ID_ALPHABET[byte % AUTO_ID_ALPHABET.length]).join('');
+    
+    const parentPath = docPath => docPath.split('/').slice(0, -1).join('/');
+    
+    const notifyListeners = (changedPath) => {
+        for (const listener of listeners) {
+            if (parentPath(changedPath) === listener.query.collectionPath) {
+                setImmediate(() => listener.refresh());
+            }
+        }
+    };
+    
+    // Function to apply a write; `mode` is 'set', 'merge', 'update', 'create' or 'delete'
+    const write = (docPath, mode, data) => {
+        const existing = documents.get(docPath);
+        
+        if (mode === 'delete') {
+            documents.delete(docPath);
+            notifyListeners(docPath);
+            return;
+        }
+        if (mode === 'update' && !existing) {
+            throw Object.assign(new Error(`5 NOT_FOUND: No document to update: ${docPath}`), { code: 5 });
+        }
+        if (mode === 'create' && existing) {
+            throw Object.assign(new Error(`6 ALREADY_EXISTS: Document already exists: ${docPath}`), { code: 6 });
+        }
+        
+        const now = Timestamp.now();
+        const base = mode === 'merge' || mode === 'update' ? cloneValue((existing && existing.data) || {}) : {};
+        applyFields(base, data, mode === 'update');
+        documents.set(docPath, {
+            data: base,
+            createTime: existing ? existing.createTime : now,
+            updateTime: now
+        });
+        notifyListeners(docPath);
+    };
+    
+    const makeDocSnapshot = (docPath) => {
+        const stored = documents.get(docPath);
+        return {
+            id: docPath.split('/').pop(),
+            ref: docRef(docPath),
+            exists: Boolean(stored),
+            createTime: stored ? stored.createTime : undefined,
+            updateTime: stored ? stored.updateTime : undefined,
+            data: () => (stored ? cloneValue(stored.data) : undefined),
+            get: fieldPath => (stored ? cloneValue(getField(stored.data, fieldPath)) : undefined)
+        };
+    };
+    
+    const makeQuerySnapshot = (docPaths, changes = []) => {
+        const docs = docPaths.map(makeDocSnapshot);
+        return {
+            docs,
+            size: docs.length,
+            empty: docs.length === 0,
+            forEach: callback => docs.forEach(callback),
+            docChanges: () => changes
+        };
+    };
+    
+    const runQuery = (query) => {
+        let matches = [...documents.keys()]
+            .filter(docPath => parentPath(docPath) === query.collectionPath)
+            .filter(docPath => query.filters.every(filter => matchesFilter(documents.get(docPath).data, filter)));
+        
+        for (const order of [...query.orders].reverse()) {
+            matches = matches
+                .filter(docPath => getField(documents.get(docPath).data, order.field) !== undefined)
+                .sort((a, b) => {
+                    const result = compareValues(getField(documents.get(a).data, order.field), getField(documents.get(b).data, order.field));
+                    return order.direction === 'desc' ? -result : result;
+                });
+        }
+        
+        return query.limitCount !== null ? matches.slice(0, query.limitCount) : matches;
+    };
+    
+    const makeQuery = (query) => ({
+        where: (field, op, value) => makeQuery({ ...query, filters: [...query.filters, { field, op, value }] }),
+        orderBy: (field, direction = 'asc') => makeQuery({ ...query, orders: [...query.orders, { field, direction }] }),
+        limit: count => makeQuery({ ...query, limitCount: count }),
+        get: async () => makeQuerySnapshot(runQuery(query)),
+        count: () => ({
+            get: async () => {
+                const count = runQuery({ ...query, limitCount: null }).length;
+                return { data: () => ({ count }) };
+            }
+        }),
+        onSnapshot: (onNext, onError) => {
+            const known = new Map(); // path -> updateTime millis
+            const listener = {
+                query,
+                refresh: () => {
+                    if (!listeners.has(listener)) {
+                        return; // Unsubscribed while a refresh was pending
+                    }
+                    try {
+                        const current = runQuery(query);
+                        const changes = [];
+                        for (const docPath of current) {
+                            const updated = documents.get(docPath).updateTime.toMillis();
+                            if (!known.has(docPath)) {
+                                changes.push({ type: 'added', doc: makeDocSnapshot(docPath) });
+                            } else if (known.get(docPath) !== updated) {
+                                changes.push({ type: 'modified', doc: makeDocSnapshot(docPath) });
+                            }
+                        }
+                        for (const docPath of known.keys()) {
+                            if (!current.includes(docPath)) {
+                                changes.push({ type: 'removed', doc: makeDocSnapshot(docPath) });
+                            }
+                        }
+                        
+                        known.clear();
+                        current.forEach(docPath => known.set(docPath, documents.get(docPath).updateTime.toMillis()));
+                        if (changes.length > 0 || !listener.delivered) {
+                            listener.delivered = true;
+                            onNext(makeQuerySnapshot(current, changes));
+                        }
+                    } catch (error) {
+                        if (onError) {
+                            onError(error);
+                        }
+                    }
+                }
+            };
+            
+            listeners.add(listener);
+            setImmediate(() => listener.refresh());
+            return () => listeners.delete(listener);
+        }
+    });
+    
+    const collectionRef = (collectionPath) => ({
+        id: collectionPath.split('/').pop(),
+        path: collectionPath,
+        doc: (id = autoId()) => docRef(`${collectionPath}/${id}`),
+        add: async (data) => {
+            const ref = docRef(`${collectionPath}/${autoId()}`);
+            write(ref.path, 'create', data);
+            return ref;
+        },
+        ...makeQuery({ collectionPath, filters: [], orders: [], limitCount: null })
+    });
+    
+    const docRef = (docPath) => ({
+        id: docPath.split('/').pop(),
+        path: docPath,
+        get parent() {
+            return collectionRef(parentPath(docPath));
+        },
+        collection: name => collectionRef(`${docPath}/${name}`),
+        get: async () => makeDocSnapshot(docPath),
+        set: async (data, options = {}) => write(docPath, options.merge ? 'merge' : 'set', data),
+        update: async data => write(docPath, 'update', data),
+        create: async data => write(docPath, 'create', data),
+        delete: async () => write(docPath, 'delete')
+    });
+    
+    // Writes made through a batch or transaction are applied together when it commits
+    const makeWriteBatch = () => {
+        const pending = [];
+        const batch = {
+            set: (ref, data, options = {}) => {
+                pending.push([ref.path, options.merge ? 'merge' : 'set', data]);
+                return batch;
+            },
+            update: (ref, data) => {
+                pending.push([ref.path, 'update', data]);
+                return batch;
+            },
+            create: (ref, data) => {
+                pending.push([ref.path, 'create', data]);
+                return batch;
+            },
+            delete: (ref) => {
+                pending.push([ref.path, 'delete']);
+                return batch;
+            },
+            commit: async () => {
+                pending.splice(0).forEach(([docPath, mode, data]) => write(docPath, mode, data));
+            }
+        };
+        return batch;
+    };
+    
+    return {
+        collection: collectionRef,
+        doc: docRef,
+        batch: makeWriteBatch,
+        runTransaction: async (updateFunction) => {
+            const batch = makeWriteBatch();
+            const transaction = {
+                get: refOrQuery => refOrQuery.get(),
+                set: (ref, data, options) => batch.set(ref, data, options) && transaction,
+                update: (ref, data) => batch.update(ref, data) && transaction,
+                create: (ref, data) => batch.create(ref, data) && transaction,
+                delete: ref => batch.delete(ref) && transaction
+            };
+            const result = await updateFunction(transaction);
+            await batch.commit();
+            return result;
+        }
+    };
+}
+
+// Function to build a fixture database from JSON fixture files (or already parsed fixture objects)
+function createFixtureSource(fixtures = []) {
+    const store = createFixtureStore();
+    let hasCheckpoint = false;
+    
+    for (const fixture of fixtures) {
+        const content = typeof fixture === 'string' ? JSON.parse(fs.readFileSync(fixture, 'utf8')) : fixture;
+        const collections = Array.isArray(content) ? { payments: content } : content;
+        
+        for (const [collectionPath, entries] of Object.entries(collections)) {
+            const docs = Array.isArray(entries)
+                ? entries
+                : Object.entries(entries).map(([id, data]) => ({ id, ...data }));
+            
+            for (const { id, _delaySeconds: delaySeconds, ...data } of docs) {
+                const ref = id ? store.collection(collectionPath).doc(String(id)) : store.collection(collectionPath).doc();
+                const add = () => ref.set(reviveDates(data));
+                
+                if (collectionPath === 'notifierState' && id === 'paymentsMonitor') {
+                    hasCheckpoint = true;
+                }
+                
+                if (delaySeconds) {
+                    setTimeout(add, delaySeconds * 1000).unref();
+                } else {
+                    add();
+                }
+            }
+        }
+    }
+    
+    if (!hasCheckpoint) {
+        store.collection('notifierState').doc('paymentsMonitor').set({ checkpoint: Timestamp.fromMillis(0) });
+    }
+    
+    return store;
+}
+
+// Function to turn ISO date-time strings in fixture data into Timestamps
+function reviveDates(value) {
+    if (typeof value === 'string' && ISO_DATE_TIME.test(value)) {
+        return Timestamp.fromDate(new Date(value));
+    }
+    if (Array.isArray(value)) {
+        return value.map(reviveDates);
+    }
+    if (isPlainObject(value)) {
+        return Object.fromEntries(Object.entries(value).map(([key, fieldValue]) => [key, reviveDates(fieldValue)]));
+    }
+    return value;
+}
+
+// Function to check for a plain { ... } object (not a Timestamp, Buffer or FieldValue)
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+// Function to copy stored data so callers can't change the store by mutating what they read
+function cloneValue(value) {
+    if (Array.isArray(value)) {
+        return value.map(cloneValue);
+    }
+    if (isPlainObject(value)) {
+        return Object.fromEntries(Object.entries(value).map(([key, fieldValue]) => [key, cloneValue(fieldValue)]));
+    }
+    return value;
+}
+
+// Function to read a (dotted) field path
+function getField(data, fieldPath) {
+    return String(fieldPath).split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+}
+
+// Function to write fields into stored data, resolving FieldValue sentinels.
+// `dotted` treats "a.b" keys as nested paths, as update() does.
+function applyFields(target, data, dotted) {
+    for (const [key, value] of Object.entries(data || {})) {
+        const keys = dotted ? key.split('.') : [key];
+        let parent = target;
+        for (const part of keys.slice(0, -1)) {
+            if (!isPlainObject(parent[part])) {
+                parent[part] = {};
+            }
+            parent = parent[part];
+        }
+        
+        const field = keys[keys.length - 1];
+        const resolved = resolveFieldValue(value, parent[field]);
+        if (resolved === DELETE_FIELD) {
+            delete parent[field];
+        } else if (isPlainObject(resolved) && !dotted && isPlainObject(parent[field])) {
+            applyFields(parent[field], resolved, false); // set(..., { merge: true }) merges nested maps
+        } else {
+            parent[field] = cloneValue(resolved);
+        }
+    }
+}
+
+// Function to turn FieldValue.* sentinels into the value they produce
+function resolveFieldValue(value, previous) {
+    if (value instanceof Date) {
+        return Timestamp.fromDate(value);
+    }
+    if (!value || typeof value !== 'object' || typeof value.methodName !== 'string') {
+        return value;
+    }
+    
+    switch (value.methodName) {
+        case 'FieldValue.delete':
+            return DELETE_FIELD;
+        case 'FieldValue.serverTimestamp':
+            return Timestamp.now();
+        case 'FieldValue.increment':
+            return (typeof previous === 'number' ? previous : 0) + value.operand;
+        case 'FieldValue.arrayUnion': {
+            const items = Array.isArray(previous) ? [...previous] : [];
+            value.elements.forEach((element) => {
+                if (!items.some(item => compareValues(item, element) === 0)) {
+                    items.push(element);
+                }
+            });
+            return items;
+        }
+        case 'FieldValue.arrayRemove':
+            return (Array.isArray(previous) ? previous : [])
+                .filter(item => !value.elements.some(element => compareValues(item, element) === 0));
+        default:
+            return value;
+    }
+}
+
+// Function to turn Timestamps and Dates into milliseconds so they compare with each other
+function comparableValue(value) {
+    if (value instanceof Timestamp) {
+        return value.toMillis();
+    }
+    if (value instanceof Date) {
+        return value.getTime();
+    }
+    return value;
+}
+
+// Function to order two field values (-1, 0 or 1), Firestore-style within a type
+function compareValues(a, b) {
+    const left = comparableValue(a);
+    const right = comparableValue(b);
+    
+    if (typeof left === 'object' || typeof right === 'object') {
+        return JSON.stringify(left) === JSON.stringify(right) ? 0 : (JSON.stringify(left) < JSON.stringify(right) ? -1 : 1);
+    }
+    if (left === right) {
+        return 0;
+    }
+    return left < right ? -1 : 1;
+}
+
+// Function to check one where() filter against stored data; missing fields never match
+function matchesFilter(data, { field, op, value }) {
+    const fieldValue = getField(data, field);
+    if (fieldValue === undefined) {
+        return false;
+    }
+    
+    const sameType = typeof comparableValue(fieldValue) === typeof comparableValue(value);
+    switch (op) {
+        case '==':
+            return compareValues(fieldValue, value) === 0;
+        case '!=':
+            return compareValues(fieldValue, value) !== 0;
+        case '<':
+            return sameType && compareValues(fieldValue, value) < 0;
+        case '<=':
+            return sameType && compareValues(fieldValue, value) <= 0;
+        case '>':
+            return sameType && compareValues(fieldValue, value) > 0;
+        case '>=':
+            return sameType && compareValues(fieldValue, value) >= 0;
+        case 'in':
+            return value.some(candidate => compareValues(fieldValue, candidate) === 0);
+        case 'not-in':
+            return !value.some(candidate => compareValues(fieldValue, candidate) === 0);
+        case 'array-contains':
+            return Array.isArray(fieldValue) && fieldValue.some(item => compareValues(item, value) === 0);
+        case 'array-contains-any':
+            return Array.isArray(fieldValue) && fieldValue.some(item => value.some(candidate => compareValues(item, candidate) === 0));
+        default:
+            throw new Error(`Unsupported filter operator "${op}"`);
+    }
+}
+
+module.exports = {
+    createFixtureStore,
+    createFixtureSource
+};
@@ -0,0 +1,204 @@
+// Messaging transport backed by a real WhatsApp Web session (the default outside simulation).
+//
+// A transport is anything with the whatsapp-web.js Client surface the bot uses:
+//   on(event, handler)  - 'qr', 'authenticated', 'ready', 'auth_failure', 'disconnected',
+//                         'remote_session_saved' and 'message'
+//   initialize(), destroy()
+//   sendMessage(chatId, content, options) -> message with id._serialized
+//   getNumberId(number) -> { _serialized } or null
+//   getChats()          -> [{ isGroup, name, id: { _serialized } }]
+// Incoming messages need body, from, author, fromMe, hasQuotedMsg, getQuotedMsg(), getContact() and
+// reply(content, chatId, options). See lib/adapters/console.js for the offline transport.
+const fs = require('fs');
+const admin = require('firebase-admin');
+const { Client, LocalAuth, RemoteAuth } = require('whatsapp-web.js');
+
+// WhatsApp session persistence
+// WHATSAPP_AUTH_STRATEGY=local keeps the session in .wwebjs_auth/ on disk (the default).
+// WHATSAPP_AUTH_STRATEGY=remote backs the zipped session up to Firestore or Cloud Storage
+// (WHATSAPP_SESSION_STORE) so redeploys on ephemeral platforms restore it without a QR scan.
+const SESSION_COLLECTION = 'whatsappSessions';
+const SESSION_STORAGE_PREFIX = 'whatsapp-sessions/';
+const SESSION_CHUNK_BYTES = 900 * 1024; // Firestore documents are limited to 1 MiB
+const SESSION_CHUNKS_PER_BATCH = 8;     // Keeps each write batch under the request size limit
+
+// Function to create the configured WhatsApp auth strategy
+function createAuthStrategy(db, app) {
+    const strategy = (process.env.WHATSAPP_AUTH_STRATEGY || 'local').toLowerCase();
+    
+    if (strategy !== 'remote') {
+        return new LocalAuth();
+    }
+    
+    const storeType = (process.env.WHATSAPP_SESSION_STORE || 'firestore').toLowerCase();
+    const backupMinutes = Math.max(parseInt(process.env.WHATSAPP_BACKUP_INTERVAL_MINUTES, 10) || 5, 1);
+    
+    console.log(`🔐 Using RemoteAuth with ${storeType === 'storage' ? 'Cloud Storage' : 'Firestore'} session store (backup every ${backupMinutes} min)`);
+    return new RemoteAuth({
+        clientId: process.env.WHATSAPP_CLIENT_ID || 'payment-bot',
+        store: storeType === 'storage' ? createStorageSessionStore(app) : createFirestoreSessionStore(db),
+        backupSyncIntervalMs: backupMinutes * 60 * 1000
+    });
+}
+
+// Function to create a RemoteAuth store that keeps the zipped session in Firestore.
+// The zip is split into chunks under whatsappSessions/{session}/chunks; each save writes a new
+// version and only then points the session document at it, so a crash mid-save keeps the old one.
+function createFirestoreSessionStore(db) {
+    const sessionRef = session => db.collection(SESSION_COLLECTION).doc(session);
+    
+    const deleteChunks = async (session, keepVersion = null) => {
+        const snapshot = await sessionRef(session).collection('chunks').get();
+        const staleDocs = snapshot.docs.filter(doc => doc.data().version !== keepVersion);
+        for (let i = 0; i < staleDocs.length; i += 400) {
+            const batch = db.batch();
+            staleDocs.slice(i, i + 400).forEach(doc => batch.delete(doc.ref));
+            await batch.commit();
+        }
+    };
+    
+    return {
+        async sessionExists({ session }) {
+            const sessionDoc = await sessionRef(session).get();
+            return sessionDoc.exists && Boolean(sessionDoc.data().activeVersion);
+        },
+        
+        async save({ session }) {
+            const zip = await fs.promises.readFile(`${session}.zip`);
+            const version = String(Date.now());
+            const chunkCount = Math.ceil(zip.length / SESSION_CHUNK_BYTES);
+            
+            for (let start = 0; start < chunkCount; start += SESSION_CHUNKS_PER_BATCH) {
+                const batch = db.batch();
+                for (let index = start; index < Math.min(start + SESSION_CHUNKS_PER_BATCH, chunkCount); index++) {
+                    batch.set(sessionRef(session).collection('chunks').doc(`${version}_${index}`), {
+                        version,
+                        index,
+                        data: zip.subarray(index * SESSION_CHUNK_BYTES, (index + 1) * SESSION_CHUNK_BYTES)
+                    });
+                }
+                await batch.commit();
+            }
+            
+            await sessionRef(session).set({
+                activeVersion: version,
+                chunkCount,
+                size: zip.length,
+                updatedAt: admin.firestore.Timestamp.now()
+            });
+            await deleteChunks(session, version);
+            console.log(`💾 WhatsApp session saved to Firestore (${Math.round(zip.length / 1024)} KB)`);
+        },
+        
+        async extract({ session, path: zipPath }) {
+            const sessionDoc = await sessionRef(session).get();
+            const { activeVersion, chunkCount } = sessionDoc.data();
+            const snapshot = await sessionRef(session).collection('chunks').where('version', '==', activeVersion).get();
+            
+            const chunks = snapshot.docs.map(doc => doc.data()).sort((a, b) => a.index - b.index);
+            if (chunks.length !== chunkCount) {
+                throw new Error(`Session ${session} is incomplete (${chunks.length}/${chunkCount} chunks)`);
+            }
+            
+            await fs.promises.writeFile(zipPath, Buffer.concat(chunks.map(chunk => Buffer.from(chunk.data))));
+            console.log('💾 WhatsApp session restored from Firestore');
+        },
+        
+        async delete({ session }) {
+            await deleteChunks(session);
+            await sessionRef(session).delete();
+        }
+    };
+}
+
+// Function to create a RemoteAuth store that keeps the zipped session in the Cloud Storage bucket of
+// `app` (the default Firebase app when not given)
+function createStorageSessionStore(app) {
+    const bucket = () => admin.storage(app || undefined).bucket();
+    const sessionFile = session => bucket().file(`${SESSION_STORAGE_PREFIX}${session}.zip`);
+    
+    return {
+        async sessionExists({ session }) {
+            const [exists] = await sessionFile(session).exists();
+            return exists;
+        },
+        
+        async save({ session }) {
+            await bucket().upload(`${session}.zip`, {
+                destination: `${SESSION_STORAGE_PREFIX}${session}.zip`,
+                resumable: false
+            });
+            console.log('💾 WhatsApp session saved to Cloud Storage');
+        },
+        
+        async extract({ session, path: zipPath }) {
+            await sessionFile(session).download({ destination: zipPath });
+            console.log('💾 WhatsApp session restored from Cloud Storage');
+        },
+        
+        async delete({ session }) {
+            await sessionFile(session).delete({ ignoreNotFound: true });
+        }
+    };
+}
+
+// Function to delete remote sessions (other client IDs) not updated for WHATSAPP_SESSION_MAX_AGE_DAYS
+async function cleanupStaleSessions(db, app) {
+    if ((process.env.WHATSAPP_AUTH_STRATEGY || 'local').toLowerCase() !== 'remote') {
+        return;
+    }
+    
+    const maxAgeMs = (parseInt(process.env.WHATSAPP_SESSION_MAX_AGE_DAYS, 10) || 14) * 24 * 60 * 60 * 1000;
+    const currentSession = `RemoteAuth-${process.env.WHATSAPP_CLIENT_ID || 'payment-bot'}`;
+    const cutoff = Date.now() - maxAgeMs;
+    
+    try {
+        if ((process.env.WHATSAPP_SESSION_STORE || 'firestore').toLowerCase() === 'storage') {
+            const [files] = await admin.storage(app || undefined).bucket().getFiles({ prefix: SESSION_STORAGE_PREFIX });
+            for (const file of files) {
+                if (file.name !== `${SESSION_STORAGE_PREFIX}${currentSession}.zip` && new Date(file.metadata.updated).getTime() < cutoff) {
+                    await file.delete({ ignoreNotFound: true });
+                    console.log(`🧹 Deleted stale WhatsApp session ${file.name}`);
+                }
+            }
+            return;
+        }
+        
+        const store = createFirestoreSessionStore(db);
+        const snapshot = await db.collection(SESSION_COLLECTION).get();
+        for (const sessionDoc of snapshot.docs) {
+            const { updatedAt } = sessionDoc.data();
+            if (sessionDoc.id !== currentSession && (!updatedAt || updatedAt.toMillis() < cutoff)) {
+                await store.delete({ session: sessionDoc.id });
+                console.log(`🧹 Deleted stale WhatsApp session ${sessionDoc.id}`);
+            }
+        }
+    } catch (error) {
+        console.error('❌ Error cleaning up stale WhatsApp sessions:', error.message);
+    }
+}
+
+// Function to create the WhatsApp Web client. When WHATSAPP_AUTH_STRATEGY=remote the session is kept
+// in `db`, or in the Storage bucket of the Firebase `app` with WHATSAPP_SESSION_STORE=storage.
+function createWhatsAppTransport(db, app) {
+    return new Client({
+        authStrategy: createAuthStrategy(db, app),
+        puppeteer: {
+            headless: true,
+            args: [
+                '--no-sandbox', 
+                '--disable-setuid-sandbox',
+                '--disable-dev-shm-usage',
+                '--disable-accelerated-2d-canvas',
+                '--no-first-run',
+                '--no-zygote',
+                '--disable-gpu'
+            ]
+        }
+    });
+}
+
+module.exports = {
+    createWhatsAppTransport,
+    cleanupStaleSessions
+};
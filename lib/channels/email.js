@@ -0,0 +1,42 @@
+// Email notification channel, sent over SMTP (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS)
+const nodemailer = require('nodemailer');
+
+// Function to create the SMTP transport from the SMTP_* environment variables (null without SMTP_HOST)
+function createSmtpTransport() {
+    if (!process.env.SMTP_HOST) {
+        return null;
+    }
+    
+    return nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT, 10) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+    });
+}
+
+// Function to create an email channel.
+// Options: to (comma-separated addresses), from, and transport (default: the SMTP_* transport)
+function createEmailChannel(options) {
+    const transport = options.transport || createSmtpTransport();
+    
+    return {
+        name: 'email',
+        send: async (notification) => {
+            const media = notification.media;
+            await transport.sendMail({
+                from: options.from,
+                to: options.to,
+                subject: notification.subject,
+                text: notification.text,
+                attachments: media ? [{
+                    filename: media.filename || 'screenshot',
+                    content: Buffer.from(media.data, 'base64'),
+                    contentType: media.mimetype
+                }] : undefined
+            });
+        }
+    };
+}
+
+module.exports = { createSmtpTransport, createEmailChannel };
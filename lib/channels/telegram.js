@@ -0,0 +1,127 @@
+// Telegram notification channel (Bot API). Alerts go to every chat in `chatIds`; a notification with
+// `buttons` gets them as an inline keyboard. startPolling() delivers button presses (callback_query)
+// and messages, such as replies to the bot, to a handler.
+const TELEGRAM_API = 'https://api.telegram.org';
+const MAX_CAPTION_LENGTH = 1024;
+const pollTimeoutSeconds = 30;
+const pollRetryMs = 5000;
+
+// Function to create a Telegram channel.
+// Options: token, chatIds (list), and apiBase (default: the public Bot API)
+function createTelegramChannel(options) {
+    const apiBase = `${options.apiBase || TELEGRAM_API}/bot${options.token}`;
+    const chatIds = options.chatIds.map(String);
+    let polling = false;
+    
+    // Function to call a Bot API method with JSON (or multipart form) parameters
+    const call = async (method, params, timeoutMs = 15000) => {
+        const isForm = params instanceof FormData;
+        const response = await fetch(`${apiBase}/${method}`, {
+            method: 'POST',
+            headers: isForm ? undefined : { 'Content-Type': 'application/json' },
+            body: isForm ? params : JSON.stringify(params),
+            signal: AbortSignal.timeout(timeoutMs)
+        });
+        const result = await response.json();
+        if (!result.ok) {
+            throw new Error(`Telegram ${method} failed: ${result.description || `HTTP ${response.status}`}`);
+        }
+        return result.result;
+    };
+    
+    // Function to upload a photo ({ mimetype, data (base64), filename }) with an optional caption
+    const sendPhoto = (chatId, media, caption) => {
+        const form = new FormData();
+        form.append('chat_id', chatId);
+        form.append('photo', new Blob([Buffer.from(media.data, 'base64')], { type: media.mimetype }), media.filename || 'screenshot.jpg');
+        if (caption) {
+            form.append('caption', caption);
+        }
+        return call('sendPhoto', form, 60000);
+    };
+    
+    const channel = { name: 'telegram', chatIds };
+    
+    channel.sendMessage = (chatId, text, extra = {}) => call('sendMessage', { chat_id: chatId, text, ...extra });
+    
+    channel.answerCallback = (callbackQueryId, text) => call('answerCallbackQuery', { callback_query_id: callbackQueryId, text });
+    
+    channel.clearButtons = (chatId, messageId) => call('editMessageReplyMarkup', {
+        chat_id: chatId,
+        message_id: messageId,
+        reply_markup: { inline_keyboard: [] }
+    });
+    
+    // Function to send a notification to every chat but `options.skipChatIds` (chats that already have it).
+    // Throws after trying them all if any failed; the error lists the chats that did get it in `sentChatIds`.
+    channel.send = async (notification, options = {}) => {
+        const skipChatIds = (options.skipChatIds || []).map(String);
+        const replyMarkup = notification.buttons
+            ? { inline_keyboard: [notification.buttons.map(button => ({ text: button.text, callback_data: button.data }))] }
+            : undefined;
+        const failures = [];
+        const sentChatIds = [];
+        
+        for (const chatId of chatIds.filter(id => !skipChatIds.includes(id))) {
+            try {
+                // Short alerts ride along as the photo caption; long ones follow as a message
+                if (notification.media && !replyMarkup && notification.text.length <= MAX_CAPTION_LENGTH) {
+                    await sendPhoto(chatId, notification.media, notification.text);
+                } else {
+                    if (notification.media) {
+                        await sendPhoto(chatId, notification.media);
+                    }
+                    await channel.sendMessage(chatId, notification.text, replyMarkup ? { reply_markup: replyMarkup } : {});
+                }
+                sentChatIds.push(chatId);
+            } catch (error) {
+                failures.push(`${chatId}: ${error.message}`);
+            }
+        }
+        
+        if (failures.length > 0) {
+            const error = new Error(failures.join('; '));
+            error.sentChatIds = sentChatIds;
+            throw error;
+        }
+    };
+    
+    // Function to long-poll for updates and pass each one to `onUpdate` until stopPolling()
+    channel.startPolling = async (onUpdate) => {
+        if (polling) {
+            return;
+        }
+        polling = true;
+        let offset = 0;
+        
+        while (polling) {
+            try {
+                const updates = await call('getUpdates', {
+                    offset,
+                    timeout: pollTimeoutSeconds,
+                    allowed_updates: ['message', 'callback_query']
+                }, (pollTimeoutSeconds + 10) * 1000);
+                
+                for (const update of updates) {
+                    offset = update.update_id + 1;
+                    try {
+                        await onUpdate(update);
+                    } catch (error) {
+                        console.error('❌ Error handling Telegram update:', error.message);
+                    }
+                }
+            } catch (error) {
+                console.error('❌ Error polling Telegram:', error.message);
+                await new Promise(resolve => setTimeout(resolve, pollRetryMs));
+            }
+        }
+    };
+    
+    channel.stopPolling = () => {
+        polling = false;
+    };
+    
+    return channel;
+}
+
+module.exports = { createTelegramChannel };
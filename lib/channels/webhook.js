@@ -0,0 +1,52 @@
+// Generic webhook notification channel: POSTs each event as JSON, signed with HMAC-SHA256.
+//
+// Headers: X-Webhook-Event (new_payment, approved, rejected), X-Webhook-Timestamp (Unix seconds) and,
+// with a secret, X-Webhook-Signature: "sha256=" + hex HMAC of "<timestamp>.<raw body>". Receivers
+// should recompute the signature and reject old timestamps to stop replays.
+const crypto = require('crypto');
+
+// Function to compute the signature for a webhook body
+function signWebhookBody(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Function to create a webhook channel.
+// Options: url, secret (optional) and timeoutMs (default 10 seconds)
+function createWebhookChannel(options) {
+    const timeoutMs = options.timeoutMs || 10000;
+    
+    return {
+        name: 'webhook',
+        send: async (notification) => {
+            const timestamp = Math.floor(Date.now() / 1000);
+            const body = JSON.stringify({
+                event: notification.event,
+                subject: notification.subject,
+                text: notification.text,
+                payment: notification.payment,
+                timestamp: new Date(timestamp * 1000).toISOString()
+            });
+            
+            const headers = {
+                'Content-Type': 'application/json',
+                'X-Webhook-Event': notification.event,
+                'X-Webhook-Timestamp': String(timestamp)
+            };
+            if (options.secret) {
+                headers['X-Webhook-Signature'] = `sha256=${signWebhookBody(options.secret, timestamp, body)}`;
+            }
+            
+            const response = await fetch(options.url, {
+                method: 'POST',
+                headers,
+                body,
+                signal: AbortSignal.timeout(timeoutMs)
+            });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+        }
+    };
+}
+
+module.exports = { signWebhookBody, createWebhookChannel };
@@ -0,0 +1,171 @@
+// WhatsApp command parsing: turns a command message into { name, ...arguments } so the bot can check
+// roles and run it. Payment references are kept in their original case (document IDs are case-sensitive).
+
+// Roles required by the fixed-text commands
+const COMMAND_ROLES = {
+    'start': 'admin',
+    'start server': 'admin',
+    'resume': 'admin',
+    'pause': 'admin',
+    'stop': 'admin',
+    'stop server': 'admin',
+    'status': 'viewer',
+    'server status': 'viewer',
+    'failed': 'viewer',
+    'help': 'viewer',
+    'commands': 'viewer',
+    'ping': 'viewer'
+};
+
+// Function to split a "STORE: command" prefix off a command, or null without one
+function parseStorePrefix(commandText) {
+    const prefixMatch = commandText.match(/^([a-zA-Z0-9_-]+)\s*:\s*([\s\S]+)$/);
+    return prefixMatch ? { storeId: prefixMatch[1], commandText: prefixMatch[2].trim() } : null;
+}
+
+// Function to parse a command, or null when the text is not one:
+//   status [PAYMENT_ID|#CODE]                         -> { name: 'status', reference }
+//   [PAYMENT_ID] + redeliver                          -> { name: 'redeliver', reference }
+//   [PAYMENT_ID] + delivered[:] CODE OR TEXT          -> { name: 'delivered', reference, content }
+//   [PAYMENT_ID] + approved|rejected|refunded[: reason] -> { name: 'transition', reference, status, reason }
+//   [PAYMENT_ID] undo                                 -> { name: 'undo', reference }
+//   pending, today, last [N], search [TEXT], more     -> { name: 'query', query, argument }
+//   export [RANGE] [STATUS] [csv|xlsx]                -> { name: 'export', args }
+//   report [RANGE]                                    -> { name: 'report', args }
+//   resend [ID]                                       -> { name: 'resend', id }
+//   pause, resume, help, ... (see COMMAND_ROLES)      -> { name: 'server', command, role }
+function parseCommand(commandText) {
+    const text = commandText.trim();
+    
+    const statusMatch = text.match(/^status\s+(#?[a-zA-Z0-9_-]+)$/i);
+    if (statusMatch) {
+        return { name: 'status', reference: statusMatch[1] };
+    }
+    
+    const redeliverMatch = text.match(/^(#?[a-zA-Z0-9_-]+)\s*\+\s*redeliver$/i);
+    if (redeliverMatch) {
+        return { name: 'redeliver', reference: redeliverMatch[1] };
+    }
+    
+    const deliveredMatch = text.match(/^(#?[a-zA-Z0-9_-]+)\s*\+\s*delivered(?:\s*:\s*|\s+)([\s\S]+)$/i);
+    if (deliveredMatch) {
+        return { name: 'delivered', reference: deliveredMatch[1], content: deliveredMatch[2].trim() };
+    }
+    
+    const transitionMatch = text.match(/^(#?[a-zA-Z0-9_-]+)\s*\+\s*(approved|rejected|refunded)(?:\s*:\s*([\s\S]*))?$/i);
+    if (transitionMatch) {
+        return {
+            name: 'transition',
+            reference: transitionMatch[1],
+            status: transitionMatch[2].toLowerCase(),
+            reason: (transitionMatch[3] || '').trim() || null
+        };
+    }
+    
+    const undoMatch = text.match(/^(#?[a-zA-Z0-9_-]+)\s+undo$/i);
+    if (undoMatch) {
+        return { name: 'undo', reference: undoMatch[1] };
+    }
+    
+    const queryMatch = text.match(/^(pending|today|more|last(?:\s+\d+)?|search\s+[\s\S]+)$/i);
+    if (queryMatch) {
+        const [keyword, ...rest] = text.split(/\s+/);
+        return { name: 'query', query: keyword.toLowerCase(), argument: rest.join(' ') };
+    }
+    
+    const exportMatch = text.match(/^export(?:\s+([\s\S]+))?$/i);
+    if (exportMatch) {
+        return { name: 'export', args: exportMatch[1] };
+    }
+    
+    const reportMatch = text.match(/^report(?:\s+([\s\S]+))?$/i);
+    if (reportMatch) {
+        return { name: 'report', args: reportMatch[1] };
+    }
+    
+    const resendMatch = text.match(/^resend\s+([a-zA-Z0-9]+)$/i);
+    if (resendMatch) {
+        return { name: 'resend', id: resendMatch[1] };
+    }
+    
+    const command = text.toLowerCase();
+    if (COMMAND_ROLES[command]) {
+        return { name: 'server', command, role: COMMAND_ROLES[command] };
+    }
+    
+    return null;
+}
+
+// Function to parse a reply to a payment alert ("approve", "reject [REASON]", "refund [REASON]",
+// "status", "undo") into a command for the quoted payment, or null
+function parseAlertReply(replyText) {
+    const replyMatch = replyText.trim().match(/^(approve|approved|reject|rejected|refund|refunded|status|undo)\b\s*:?\s*([\s\S]*)$/i);
+    if (!replyMatch) {
+        return null;
+    }
+    
+    const action = replyMatch[1].toLowerCase();
+    if (action === 'status' || action === 'undo') {
+        return { name: action };
+    }
+    
+    const status = action.startsWith('approve') ? 'approved' : action.startsWith('reject') ? 'rejected' : 'refunded';
+    return { name: 'transition', status, reason: replyMatch[2].trim() || null };
+}
+
+// Function to build the "help" reply.
+// Options: undoWindowMinutes and storeIds (every configured store)
+function buildHelpText(options) {
+    const helpText = `🤖 Available Commands:
+
+🔧 Server Control:
+• pause - Hold new payment alerts
+• resume - Send held alerts and continue
+• status - Check server status
+• help - Show this help message
+• ping - Test bot responsiveness
+• failed - Messages that could not be sent
+• resend [ID] - Retry a failed message
+
+💳 Payment Management:
+• status [PAYMENT_ID] - Check payment status
+• [PAYMENT_ID] + approved - Approve a payment
+• [PAYMENT_ID] + rejected: [REASON] - Reject a payment
+• [PAYMENT_ID] + refunded: [REASON] - Mark an approved payment as refunded
+• [PAYMENT_ID] + delivered [CODE] - Send a code to the customer
+• [PAYMENT_ID] + redeliver - Send the last delivered (or assigned) codes again
+• [PAYMENT_ID] undo - Revert the last change (within ${options.undoWindowMinutes} minutes)
+• Any [PAYMENT_ID] can also be the alert's short code, e.g. #A7K2
+
+🔎 Lookup:
+• pending - Unreviewed payments, oldest first
+• today - Payments received today
+• last [N] - The N most recent payments
+• search [PHONE|EMAIL|NAME] - Find a customer's payments
+• more - Next page of results
+
+📈 Reports:
+• report today|yesterday|week|month
+• export [RANGE] [STATUS] [csv|xlsx] - Payments as a file
+• report 2026-10-01..2026-10-07
+
+↩️ Reply to a payment alert with:
+• approve
+• reject [REASON]
+• status
+• undo
+
+📋 Examples:
+• status 5SQE58Q9SezDZLPjTME1
+• 5SQE58Q9SezDZLPjTME1 + approved
+• 5SQE58Q9SezDZLPjTME1 + rejected: wrong amount
+• 5SQE58Q9SezDZLPjTME1 undo
+
+🔐 Roles: viewers can check status, approvers can approve/reject, admins can control the server.`;
+    const storesHelp = options.storeIds.length > 1
+        ? `\n\n🏬 Stores: ${options.storeIds.join(', ')}. In a chat shared by several stores, start a command with the store, e.g. "${options.storeIds[0]}: pending".`
+        : '';
+    return helpText + storesHelp;
+}
+
+module.exports = { COMMAND_ROLES, parseStorePrefix, parseCommand, parseAlertReply, buildHelpText };
@@ -0,0 +1,123 @@
+// Alert routing: which chats get a payment's alert, and which chats may run commands.
+const fs = require('fs');
+const path = require('path');
+
+// Function to load a store's alert routing rules: `routing` in STORES_FILE, or its routing file
+// (`routingFile`, or ROUTING_FILE for the single store) as JSON or YAML
+//
+//   defaultChats: [...]   # every alert (default: WHATSAPP_PHONE_NUMBER)
+//   adminChats: [...]     # extra chats allowed to run commands
+//   reportChats: [...]    # scheduled reports (default: defaultChats)
+//   rules:
+//     - name: High value
+//       match: { product, variant, paymentMethod, minAmount, maxAmount }
+//       chats: [...]
+//       stop: true         # don't evaluate later rules
+//       exclusive: true    # send matching payments to the rule chats instead of defaultChats
+//
+// A payment goes to defaultChats plus the chats of every matching rule; every chat listed anywhere accepts commands.
+// Options: defaultChat (used when no defaultChats are set) and escalationChatId, which both accept commands.
+function loadRoutingConfig(store, options = {}) {
+    const { defaultChat, escalationChatId } = options;
+    let fileConfig = store.config.routing || {};
+    
+    const routingFile = store.config.routingFile;
+    if (routingFile) {
+        try {
+            const source = fs.readFileSync(path.resolve(routingFile), 'utf8');
+            fileConfig = /\.ya?ml$/i.test(routingFile) ? require('yaml').parse(source) : JSON.parse(source);
+            console.log(`✅ Alert routing loaded from ${routingFile}`);
+        } catch (error) {
+            console.error(`❌ Error loading routing file ${routingFile}:`, error.message);
+            console.log('   Falling back to WHATSAPP_PHONE_NUMBER for all alerts');
+            fileConfig = {};
+        }
+    }
+    
+    const toList = value => (Array.isArray(value) ? value : value ? [value] : []).map(String);
+    const defaultChats = toList(fileConfig.defaultChats);
+    if (defaultChats.length === 0 && defaultChat) {
+        defaultChats.push(defaultChat);
+    }
+    
+    const rules = (fileConfig.rules || []).map((rule, index) => ({
+        name: rule.name || `Rule ${index + 1}`,
+        match: rule.match || {},
+        chats: toList(rule.chats),
+        stop: Boolean(rule.stop),
+        exclusive: Boolean(rule.exclusive)
+    }));
+    
+    const reportChats = toList(fileConfig.reportChats);
+    const commandChats = new Set([
+        ...defaultChats,
+        ...toList(fileConfig.adminChats),
+        ...rules.flatMap(rule => rule.chats),
+        ...(defaultChat ? [defaultChat] : []),
+        ...(escalationChatId ? [escalationChatId] : [])
+    ]);
+    
+    return {
+        defaultChats,
+        reportChats: reportChats.length > 0 ? reportChats : defaultChats,
+        rules,
+        commandChats
+    };
+}
+
+// Function to check a rule value (string or list, case-insensitive) against a payment's values
+function matchesRuleValue(expected, actualValues) {
+    const options = (Array.isArray(expected) ? expected : [expected]).map(value => String(value).toLowerCase());
+    return actualValues.some(value => value && options.includes(String(value).toLowerCase()));
+}
+
+// Function to check whether a payment (normalized, see normalizePayment() in index.js) matches a routing rule
+function paymentMatchesRule(payment, match) {
+    if (match.product !== undefined && !matchesRuleValue(match.product, payment.items.map(item => item.name))) {
+        return false;
+    }
+    
+    if (match.variant !== undefined && !matchesRuleValue(match.variant, payment.items.map(item => item.variantLabel))) {
+        return false;
+    }
+    
+    if (match.paymentMethod !== undefined && !matchesRuleValue(match.paymentMethod, [payment.paymentMethod])) {
+        return false;
+    }
+    
+    if (match.minAmount !== undefined || match.maxAmount !== undefined) {
+        const amount = payment.total;
+        if (amount === null) {
+            return false;
+        }
+        if (match.minAmount !== undefined && amount < Number(match.minAmount)) {
+            return false;
+        }
+        if (match.maxAmount !== undefined && amount > Number(match.maxAmount)) {
+            return false;
+        }
+    }
+    
+    return true;
+}
+
+// Function to pick the chats a payment (normalized, see normalizePayment() in index.js) is alerted in under a routing config
+function matchAlertChats(config, payment) {
+    const chatIds = new Set();
+    let exclusive = false;
+    
+    for (const rule of config.rules) {
+        if (paymentMatchesRule(payment, rule.match)) {
+            rule.chats.forEach(chatId => chatIds.add(chatId));
+            exclusive = exclusive || rule.exclusive;
+            if (rule.stop) {
+                break;
+            }
+        }
+    }
+    
+    // Rule chats are added to the default chats, unless a matching rule is exclusive
+    return exclusive ? [...chatIds] : [...new Set([...config.defaultChats, ...chatIds])];
+}
+
+module.exports = { loadRoutingConfig, paymentMatchesRule, matchAlertChats };
@@ -0,0 +1,204 @@
+// Stores: every storefront has its own Firebase app, collections, field names, chats and templates
+// (STORES_FILE), or there is one store configured from the environment. Code that touches payments
+// runs inside runInStore() so getStore() knows which store it is serving.
+const fs = require('fs');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Collection defaults for stores that don't name their own
+const codeStockCollection = process.env.CODE_STOCK_COLLECTION || 'codeStock';
+const priceCatalogCollection = process.env.PRICE_CATALOG_COLLECTION || null; // e.g. "products"
+const DEAD_LETTER_COLLECTION = 'deadLetters';
+
+let stores = null; // Loaded on first use, see getStores()
+const storeContext = new AsyncLocalStorage();
+
+// Function to get the configured stores, loading them once
+function getStores() {
+    if (!stores) {
+        stores = loadStores();
+    }
+    return stores;
+}
+
+// Function to load the stores from STORES_FILE (JSON or YAML), or one store from the environment
+//
+//   stores:
+//     - id: games                  # names the store in commands ("games: pending") and the admin API
+//       name: Game Top-ups         # shown in alerts and reports as {storeName}
+//       firebase:                  # default: FIREBASE_SERVICE_ACCOUNT / firebase-service-account.json
+//         serviceAccountFile: ./games-service-account.json   # or serviceAccountEnv: GAMES_SERVICE_ACCOUNT
+//         projectId: games-shop
+//         storageBucket: games-shop.appspot.com
+//       collections: { payments: orders, codeStock: codes, priceCatalog: products }
+//       fields: { fullName: customer.name, phone: customer.phone, orderTotal: total, createdAt: placedAt }
+//       routing: { defaultChats: [...], adminChats: [...], reportChats: [...], rules: [...] }  # or routingFile
+//       templates: { payment: "...", products: { ... } }   # or templatesFile (like TEMPLATES_FILE)
+//
+// The first store also keeps the bot's own state: pause/resume, dead letters and the WhatsApp session.
+function loadStores() {
+    const storesFile = process.env.STORES_FILE;
+    if (!storesFile) {
+        return [createStore({
+            id: 'default',
+            name: process.env.STORE_NAME || null,
+            routingFile: process.env.ROUTING_FILE,
+            templatesFile: process.env.TEMPLATES_FILE
+        })];
+    }
+    
+    let fileConfig;
+    try {
+        const source = fs.readFileSync(path.resolve(storesFile), 'utf8');
+        fileConfig = /\.ya?ml$/i.test(storesFile) ? require('yaml').parse(source) : JSON.parse(source);
+    } catch (error) {
+        console.error(`❌ Error loading stores file ${storesFile}:`, error.message);
+        process.exit(1);
+    }
+    
+    const storeConfigs = Array.isArray(fileConfig) ? fileConfig : (fileConfig && fileConfig.stores) || [];
+    if (storeConfigs.length === 0) {
+        console.error(`❌ No stores defined in ${storesFile}`);
+        process.exit(1);
+    }
+    
+    const storeIds = new Set();
+    const loadedStores = storeConfigs.map((storeConfig, index) => {
+        const storeId = String(storeConfig.id || '').toLowerCase();
+        if (!/^[a-z0-9_-]+$/.test(storeId) || storeIds.has(storeId)) {
+            console.error(`❌ Store ${index + 1} in ${storesFile} needs a unique "id" (letters, digits, "-" and "_")`);
+            process.exit(1);
+        }
+        storeIds.add(storeId);
+        return createStore({ ...storeConfig, id: storeId });
+    });
+    
+    console.log(`✅ ${loadedStores.length} stores loaded from ${storesFile}: ${loadedStores.map(store => store.id).join(', ')}`);
+    return loadedStores;
+}
+
+// Function to build a store from its configuration (see loadStores())
+function createStore(config) {
+    const collections = config.collections || {};
+    
+    return {
+        id: config.id,
+        name: config.name || null,
+        config,
+        app: null, // Firebase app, for Storage screenshots
+        db: null,  // Set by startApp()/useAdapters()
+        collections: {
+            payments: collections.payments || 'payments',
+            codeStock: collections.codeStock || codeStockCollection,
+            priceCatalog: collections.priceCatalog || priceCatalogCollection,
+            alertMessages: collections.alertMessages || 'alertMessages',
+            notifierState: collections.notifierState || 'notifierState',
+            deadLetters: collections.deadLetters || DEAD_LETTER_COLLECTION
+        },
+        fields: config.fields || {},
+        routing: null,   // Loaded on first use, see getRoutingConfig()
+        templates: null, // Loaded on first use, see getMessageTemplates()
+        monitor: { unsubscribe: null, retryTimer: null, retryAttempt: 0, checkpoint: null, deliveries: Promise.resolve() }
+    };
+}
+
+// Function to get the store being served: the one set by runInStore(), otherwise the first store
+function getStore() {
+    return storeContext.getStore() || getPrimaryStore();
+}
+
+// Function to get the first store, which also holds the bot's own state
+function getPrimaryStore() {
+    return getStores()[0];
+}
+
+// Function to find a store by ID (case-insensitive), or null
+function findStore(storeId) {
+    const id = String(storeId || '').toLowerCase();
+    return getStores().find(store => store.id === id) || null;
+}
+
+// Function to run a task with `store` as the current store (see getStore())
+function runInStore(store, task) {
+    return storeContext.run(store, task);
+}
+
+// Function to run a task in every store in turn; an error in one store doesn't stop the others
+async function forEachStore(task) {
+    for (const store of getStores()) {
+        try {
+            await runInStore(store, task);
+        } catch (error) {
+            console.error(`❌ Error in store ${store.id}:`, error.message);
+        }
+    }
+}
+
+// Function to get one of the bot's collections ("payments", "codeStock", ...) under the store's name for it
+function storeCollection(name, store = getStore()) {
+    return store.db.collection(store.collections[name] || name);
+}
+
+// Function to get the document path a store keeps an order field under (see `fields` in loadStores())
+function paymentField(field) {
+    return getStore().fields[field] || field;
+}
+
+// Function to turn a payment document into payment data, copying order fields the store keeps
+// under other paths (its `fields` mapping) to the names the bot reads. Fields the bot writes
+// (status, notification ledger, history) always use the bot's own names.
+function readPaymentData(paymentDoc) {
+    const data = paymentDoc.data();
+    const paymentData = { id: paymentDoc.id, ...data };
+    
+    for (const [field, sourcePath] of Object.entries(getStore().fields)) {
+        if (paymentData[field] === undefined) {
+            const value = String(sourcePath).split('.')
+                .reduce((current, key) => (current && typeof current === 'object' ? current[key] : undefined), data);
+            if (value !== undefined) {
+                paymentData[field] = value;
+            }
+        }
+    }
+    
+    return paymentData;
+}
+
+// Function to name the current store in alerts and reports; null with a single unnamed store
+function getStoreLabel(store = getStore()) {
+    return getStores().length > 1 ? store.name || store.id : store.name;
+}
+
+// Function to find the stores (among `candidates`) holding a payment, by document ID or "#CODE"
+async function findPaymentStores(reference, candidates = getStores()) {
+    const found = [];
+    for (const store of candidates) {
+        const exists = await runInStore(store, async () => {
+            if (reference.startsWith('#')) {
+                const snapshot = await storeCollection('payments').where('shortCode', '==', reference.slice(1).toUpperCase()).limit(1).get();
+                return !snapshot.empty;
+            }
+            return (await storeCollection('payments').doc(reference).get()).exists;
+        });
+        if (exists) {
+            found.push(store);
+        }
+    }
+    return found;
+}
+
+module.exports = {
+    getStores,
+    loadStores,
+    createStore,
+    getStore,
+    getPrimaryStore,
+    findStore,
+    runInStore,
+    forEachStore,
+    storeCollection,
+    paymentField,
+    readPaymentData,
+    getStoreLabel,
+    findPaymentStores
+};
@@ -0,0 +1,408 @@
+// Message templates: the default texts, their overrides (environment, templates files and STORES_FILE)
+// and the small template language they are written in.
+const fs = require('fs');
+const path = require('path');
+
+// Default message templates, used when no template is configured through env or TEMPLATES_FILE
+const DEFAULT_TEMPLATES = {
+    payment: `New Order Alert! 💰{#if shortCode} {shortCode}{/if}{#if storeName} • {storeName}{/if}
+{#if riskWarnings}
+
+🚩 Risk warnings:
+{#each riskWarnings}
+• {message}
+{/each}
+{/if}
+
+Customer Name: {customerName}
+Phone: {phone}
+Email: {email}
+{#each items}
+🛍️ {name}{#if variantLabel} - {variantLabel}{/if} x{quantity}{#if lineTotal} • {currency} {lineTotal}{/if}
+{#if extraFields}
+   {extraFields}
+{/if}
+{else}
+Product Name: N/A
+{/each}
+Total: {amount}
+{#if totalMismatch}
+⚠️ Items add up to {currency} {itemsTotal}, not {orderTotal}
+{/if}
+Payment Method: {paymentMethod}
+Time: {timestamp}
+{#unless screenshotAttached}
+{#if adminUrl}
+
+Check Screenshot at: {adminUrl}
+{/if}
+{/unless}
+{#if shortCode}
+
+↩️ Reply with "approve", "reject [REASON]" or "status"
+{/if}`,
+    status: `📊 Payment Status Report
+
+Payment ID: {paymentId}
+{#if shortCode}
+Code: {shortCode}
+{/if}
+Customer: {customerName}
+Amount: {amount}
+{#each items}
+🛍️ {name}{#if variantLabel} - {variantLabel}{/if} x{quantity}{#if lineTotal} • {currency} {lineTotal}{/if}
+{/each}
+{#if totalMismatch}
+⚠️ Items add up to {currency} {itemsTotal}, not {orderTotal}
+{/if}
+Status: {statusUpper}
+{#if riskWarnings}
+🚩 Risk warnings:
+{#each riskWarnings}
+• {message}
+{/each}
+{/if}
+Needs Verification: {needsVerification}
+Reviewed At: {#if reviewedAt}{reviewedAt}{else}Not reviewed{/if}
+{#if rejectionReason}
+Rejection Reason: {rejectionReason}
+{/if}
+Payment Method: {paymentMethod}
+
+💡 To approve: Send "{paymentId} + approved"`,
+    approved: `✅ Payment Approved Successfully!
+
+Payment ID: {paymentId}
+Customer: {customerName}
+Amount: {orderTotal}
+Status: APPROVED ✅
+{#if approvalNote}
+Note: {approvalNote}
+{/if}
+Approved At: {approvedAt}
+Approved By: {approvedBy}
+
+The payment has been updated in the database.`,
+    rejected: `❌ Payment Rejected Successfully!
+
+Payment ID: {paymentId}
+Customer: {customerName}
+Amount: {orderTotal}
+Status: REJECTED ❌
+Reason: {rejectionReason}
+Rejected At: {rejectedAt}
+Rejected By: {rejectedBy}
+
+The payment has been updated in the database.`,
+    refunded: `↩️ Payment Marked as Refunded
+
+Payment ID: {paymentId}
+Customer: {customerName}
+Amount: {orderTotal}
+Status: REFUNDED ↩️
+Reason: {refundReason}
+Refunded At: {refundedAt}
+Refunded By: {refundedBy}
+
+The payment has been updated in the database.`,
+    undone: `↩️ Change Undone
+
+Payment ID: {paymentId}
+Customer: {customerName}
+Status: {statusUpper} (was {previousStatus})
+Undone At: {undoneAt}
+Undone By: {undoneBy}
+
+The payment has been updated in the database.`,
+    reminder: `⏰ Reminder: payment still waiting for review{#if shortCode} {shortCode}{/if}
+
+Customer: {customerName}
+Amount: {amount}
+Payment Method: {paymentMethod}
+Pending for: {pendingMinutes} min
+
+↩️ Reply with "approve" or "reject [REASON]"`,
+    escalation: `🚨 Escalation: payment unreviewed for {pendingMinutes} min{#if shortCode} {shortCode}{/if}
+
+Payment ID: {paymentId}
+Customer: {customerName}
+Phone: {phone}
+Amount: {amount}
+Payment Method: {paymentMethod}
+Time: {timestamp}
+Reminders sent: {reminderCount}`,
+    listItem: `{index}. {#if shortCode}{shortCode}{else}{paymentId}{/if} • {customerName} • {amount} • {statusUpper} • {timestamp}`,
+    customerApproved: `Hi {customerName}! ✅
+
+Your payment for {productName} ({amount}) has been approved.
+Thank you for your order!`,
+    customerRejected: `Hi {customerName},
+
+Unfortunately your payment for {productName} ({amount}) could not be approved.
+Reason: {rejectionReason}
+
+Please contact us if you think this is a mistake.`,
+    customerDelivered: `Hi {customerName}! 🎁
+
+Here is your order{#if shortCode} {shortCode}{/if}:
+{#each deliveredItems}
+{#if name}
+{name}{#if variantLabel} - {variantLabel}{/if}:
+{/if}
+{code}
+{/each}
+
+Thank you for your order!`
+};
+
+// Environment variables that override each default template
+const TEMPLATE_ENV_VARS = {
+    payment: 'PAYMENT_MESSAGE_TEMPLATE',
+    status: 'STATUS_MESSAGE_TEMPLATE',
+    approved: 'APPROVAL_MESSAGE_TEMPLATE',
+    rejected: 'REJECTION_MESSAGE_TEMPLATE',
+    refunded: 'REFUND_MESSAGE_TEMPLATE',
+    undone: 'UNDO_MESSAGE_TEMPLATE',
+    reminder: 'REMINDER_MESSAGE_TEMPLATE',
+    escalation: 'ESCALATION_MESSAGE_TEMPLATE',
+    listItem: 'LIST_ITEM_TEMPLATE',
+    customerApproved: 'CUSTOMER_APPROVED_TEMPLATE',
+    customerRejected: 'CUSTOMER_REJECTED_TEMPLATE',
+    customerDelivered: 'CUSTOMER_DELIVERED_TEMPLATE'
+};
+
+// Function to load a store's message templates from environment variables, then its templates
+// file (`templatesFile`, or TEMPLATES_FILE for the single store), then `templates` in STORES_FILE
+//
+// A templates file is a JSON file shaped like:
+//   {
+//     "payment": "...", "status": "...", "approved": "...", "rejected": "...", "refunded": "...", "undone": "...",
+//     "reminder": "...", "escalation": "...", "listItem": "...", "customerApproved": "...", "customerRejected": "...", "customerDelivered": "...",
+//     "paymentMethods": { "eSewa": { "payment": "..." } },
+//     "products": { "PUBG UC": { "payment": "..." } }
+//   }
+// Each template may be a string or an array of lines. Lookup order is product,
+// then payment method, then the file's top-level template, then env, then default.
+function loadMessageTemplates(store) {
+    const templates = {
+        base: {},
+        paymentMethods: {},
+        products: {}
+    };
+    
+    for (const [name, envVar] of Object.entries(TEMPLATE_ENV_VARS)) {
+        templates.base[name] = compileTemplate(name, process.env[envVar]) || compileTemplate(name, DEFAULT_TEMPLATES[name]);
+    }
+    
+    const templatesFile = store.config.templatesFile;
+    if (templatesFile) {
+        try {
+            applyTemplateOverrides(templates, JSON.parse(fs.readFileSync(path.resolve(templatesFile), 'utf8')));
+            console.log(`✅ Message templates loaded from ${templatesFile}`);
+        } catch (error) {
+            console.error(`❌ Error loading templates file ${templatesFile}:`, error.message);
+            console.log('   Falling back to environment/default templates');
+        }
+    }
+    
+    if (store.config.templates) {
+        applyTemplateOverrides(templates, store.config.templates);
+    }
+    
+    return templates;
+}
+
+// Function to compile templates shaped like a templates file over the loaded ones
+function applyTemplateOverrides(templates, fileTemplates) {
+    for (const name of Object.keys(DEFAULT_TEMPLATES)) {
+        const compiled = compileTemplate(name, fileTemplates[name]);
+        if (compiled) {
+            templates.base[name] = compiled;
+        }
+    }
+    
+    for (const group of ['paymentMethods', 'products']) {
+        for (const [key, overrides] of Object.entries(fileTemplates[group] || {})) {
+            templates[group][key.toLowerCase()] = {};
+            for (const [name, source] of Object.entries(overrides)) {
+                const compiled = compileTemplate(`${group}.${key}.${name}`, source);
+                if (compiled) {
+                    templates[group][key.toLowerCase()][name] = compiled;
+                }
+            }
+        }
+    }
+}
+
+// Function to parse a template, returning null (and logging) when it is missing or invalid
+function compileTemplate(name, source) {
+    if (Array.isArray(source)) {
+        source = source.join('\n');
+    }
+    
+    if (typeof source !== 'string' || source.trim() === '') {
+        return null;
+    }
+    
+    try {
+        return parseTemplate(source);
+    } catch (error) {
+        console.error(`❌ Invalid "${name}" template:`, error.message);
+        return null;
+    }
+}
+
+// Function to pick a store's template (see loadMessageTemplates()) for a payment:
+// product override, then payment method, then base
+function selectTemplate(templates, name, context) {
+    const productNames = context.items.map(item => item.name)
+        .filter(Boolean)
+        .map(productName => String(productName).toLowerCase());
+    
+    for (const productName of productNames) {
+        const overrides = templates.products[productName];
+        if (overrides && overrides[name]) {
+            return overrides[name];
+        }
+    }
+    
+    const paymentMethod = context.paymentMethod && String(context.paymentMethod).toLowerCase();
+    const methodOverrides = paymentMethod && templates.paymentMethods[paymentMethod];
+    if (methodOverrides && methodOverrides[name]) {
+        return methodOverrides[name];
+    }
+    
+    return templates.base[name];
+}
+
+// Template syntax:
+//   {field}, {item.field}          - placeholder, rendered as "N/A" when empty
+//   {#if field}...{else}...{/if}   - conditional on a non-empty value
+//   {#unless field}...{/unless}    - inverse conditional
+//   {#each items}...{else}...{/each} - loop; item fields and {index} are in scope
+// A block tag on a line of its own does not leave an empty line behind.
+const TEMPLATE_TAG_PATTERN = /\{(#if|#unless|#each)\s+([\w.]+)\}|\{(\/if|\/unless|\/each|else)\}|\{([\w.]+)\}/g;
+
+// Function to parse template source into a tree of text, placeholder and block nodes
+function parseTemplate(source) {
+    const normalized = source.replace(/^[ \t]*(\{(?:#if|#unless|#each)\s+[\w.]+\}|\{(?:\/if|\/unless|\/each|else)\})[ \t]*\r?\n/gm, '$1');
+    const root = { children: [] };
+    const stack = [root];
+    let target = root.children;
+    let lastIndex = 0;
+    let match;
+    
+    TEMPLATE_TAG_PATTERN.lastIndex = 0;
+    while ((match = TEMPLATE_TAG_PATTERN.exec(normalized)) !== null) {
+        if (match.index > lastIndex) {
+            target.push({ type: 'text', value: normalized.slice(lastIndex, match.index) });
+        }
+        lastIndex = TEMPLATE_TAG_PATTERN.lastIndex;
+        
+        const [, openTag, openPath, closeTag, placeholder] = match;
+        const current = stack[stack.length - 1];
+        
+        if (openTag) {
+            const node = { type: openTag.slice(1), path: openPath, children: [], otherwise: [] };
+            target.push(node);
+            stack.push(node);
+            target = node.children;
+        } else if (closeTag === 'else') {
+            if (current === root || current.inElse) {
+                throw new Error('Unexpected {else}');
+            }
+            current.inElse = true;
+            target = current.otherwise;
+        } else if (closeTag) {
+            if (current === root || current.type !== closeTag.slice(1)) {
+                throw new Error(`Unexpected {${closeTag}}`);
+            }
+            stack.pop();
+            const parent = stack[stack.length - 1];
+            target = parent === root ? root.children : (parent.inElse ? parent.otherwise : parent.children);
+        } else {
+            target.push({ type: 'value', path: placeholder });
+        }
+    }
+    
+    if (stack.length > 1) {
+        throw new Error(`Missing {/${stack[stack.length - 1].type}}`);
+    }
+    
+    if (lastIndex < normalized.length) {
+        target.push({ type: 'text', value: normalized.slice(lastIndex) });
+    }
+    
+    return root.children;
+}
+
+// Function to look up a dotted path, innermost scope first
+function lookupTemplateValue(scopes, valuePath) {
+    const [head, ...rest] = valuePath.split('.');
+    
+    for (let i = scopes.length - 1; i >= 0; i--) {
+        const scope = scopes[i];
+        if (scope && typeof scope === 'object' && head in scope) {
+            return rest.reduce((value, key) => (value == null ? undefined : value[key]), scope[head]);
+        }
+    }
+    
+    return undefined;
+}
+
+// Function to decide whether a template value counts as present
+function isTemplateValuePresent(value) {
+    if (Array.isArray(value)) {
+        return value.length > 0;
+    }
+    return value !== undefined && value !== null && value !== '' && value !== false;
+}
+
+// Function to render a parsed template against a stack of scopes.
+// Options: formatDate, for Date values (default: the date's ISO string)
+function renderTemplate(nodes, scopes, options = {}) {
+    return nodes.map((node) => {
+        switch (node.type) {
+            case 'text':
+                return node.value;
+                
+            case 'value': {
+                const value = lookupTemplateValue(scopes, node.path);
+                if (!isTemplateValuePresent(value)) {
+                    return 'N/A';
+                }
+                if (value instanceof Date) {
+                    return options.formatDate ? options.formatDate(value) : value.toISOString();
+                }
+                return Array.isArray(value) ? value.join(', ') : String(value);
+            }
+            
+            case 'if':
+            case 'unless': {
+                const present = isTemplateValuePresent(lookupTemplateValue(scopes, node.path));
+                const branch = (node.type === 'if') === present ? node.children : node.otherwise;
+                return renderTemplate(branch, scopes, options);
+            }
+            
+            case 'each': {
+                const list = lookupTemplateValue(scopes, node.path);
+                if (!Array.isArray(list) || list.length === 0) {
+                    return renderTemplate(node.otherwise, scopes, options);
+                }
+                return list.map(item => renderTemplate(node.children, [...scopes, item], options)).join('');
+            }
+            
+            default:
+                return '';
+        }
+    }).join('');
+}
+
+module.exports = {
+    DEFAULT_TEMPLATES,
+    loadMessageTemplates,
+    compileTemplate,
+    selectTemplate,
+    parseTemplate,
+    renderTemplate
+};
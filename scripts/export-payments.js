@@ -0,0 +1,57 @@
+// Export payments to CSV or XLSX from the command line, using the bot's Firebase setup (.env)
+//
+// Usage: npm run export -- [RANGE] [STATUS] [csv|xlsx] [--out FILE] [--store ID]
+//   RANGE:  today (default), yesterday, week, month, 2026-10-01 or 2026-10-01..2026-10-07
+//   STATUS: pending, approved, rejected or refunded (default: all)
+//   --store: a store from STORES_FILE (default: the first store)
+//
+// Examples:
+//   npm run export -- month approved xlsx
+//   npm run export -- 2026-10-01..2026-10-07 --out ./exports/october-week-1.csv
+//   npm run export -- week --store games
+const fs = require('fs');
+const path = require('path');
+const { initializeStoreDatabases, getStores, findStore, runInStore, parseExportArgs, createPaymentExport } = require('../index');
+
+// Function to take "--name VALUE" out of the arguments, returning VALUE or null
+function takeOption(args, name) {
+    const index = args.indexOf(name);
+    if (index === -1) {
+        return null;
+    }
+    const value = args[index + 1] || null;
+    args.splice(index, 2);
+    return value;
+}
+
+// Function to split the command line into export arguments, --out and --store
+function parseCommandLine(argv) {
+    const args = [...argv];
+    const outFile = takeOption(args, '--out');
+    const storeId = takeOption(args, '--store');
+    
+    return { ...parseExportArgs(args.join(' ')), outFile, storeId };
+}
+
+async function main() {
+    const { rangeText, status, format, outFile, storeId } = parseCommandLine(process.argv.slice(2));
+    const store = storeId ? findStore(storeId) : getStores()[0];
+    if (!store) {
+        throw new Error(`Unknown store "${storeId}"`);
+    }
+    initializeStoreDatabases();
+    
+    const paymentExport = await runInStore(store, () => createPaymentExport(rangeText, status, format));
+    const target = path.resolve(outFile || paymentExport.filename);
+    
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, paymentExport.buffer);
+    console.log(`📄 ${paymentExport.count} payments (${paymentExport.label}) written to ${target}`);
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error('❌ Export failed:', error.message);
+        process.exit(1);
+    });
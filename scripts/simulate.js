@@ -0,0 +1,68 @@
+// Offline simulation: runs the bot against JSON fixture payments and a console chat instead of
+// Firestore and WhatsApp, so templates and commands can be tried without a phone or production data.
+//
+// Usage: npm run simulate -- [FIXTURE_FILES...]   (default: every .json file in fixtures/)
+//
+// New order alerts are printed as they are sent; type commands as if in the WhatsApp group
+// (see lib/adapters/console.js). All changes stay in memory and are lost on exit.
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+
+// The simulated group is the alert and command chat; the simulated sender is the first admin,
+// or anyone when no roles are configured
+process.env.WHATSAPP_PHONE_NUMBER = process.env.SIMULATOR_CHAT_ID || 'simulator@g.us';
+if (!process.env.WHATSAPP_ADMINS && !process.env.WHATSAPP_APPROVERS && !process.env.WHATSAPP_VIEWERS) {
+    process.env.WHATSAPP_ALLOW_ALL_MEMBERS = 'true';
+}
+
+const { startApp } = require('../index');
+const { createFixtureSource } = require('../lib/adapters/fixtures');
+const { createConsoleTransport } = require('../lib/adapters/console');
+
+// Function to list the fixture files to load
+function getFixtureFiles(args) {
+    if (args.length > 0) {
+        return args;
+    }
+    
+    const fixturesDir = path.join(__dirname, '..', 'fixtures');
+    return fs.readdirSync(fixturesDir)
+        .filter(file => file.endsWith('.json'))
+        .map(file => path.join(fixturesDir, file));
+}
+
+async function main() {
+    const fixtureFiles = getFixtureFiles(process.argv.slice(2));
+    console.log(`🧪 Simulating with ${fixtureFiles.map(file => path.basename(file)).join(', ')}`);
+    console.log('💡 Type commands as in the WhatsApp group, "@N text" to reply to message #N, /quit to stop.\n');
+    
+    const admins = (process.env.WHATSAPP_ADMINS || '').split(',').map(number => number.replace(/\D/g, '')).filter(Boolean);
+    const db = createFixtureSource(fixtureFiles);
+    
+    await startApp({
+        db,
+        httpServer: false,
+        channels: {}, // Never post fixture payments to the real Telegram, email or webhook channels
+
+        createTransport: () => {
+            const transport = createConsoleTransport({
+                chatId: process.env.WHATSAPP_PHONE_NUMBER,
+                author: admins[0]
+            });
+            transport.on('quit', () => {
+                // Let replies to the last commands print before exiting
+                setTimeout(() => {
+                    console.log('\n👋 Simulation finished');
+                    process.exit(0);
+                }, 1000);
+            });
+            return transport;
+        }
+    });
+}
+
+main().catch((error) => {
+    console.error('❌ Simulation failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,113 @@
+// Telegram, email and webhook channels, with fetch replaced by a recorder
+const test = require('node:test');
+const assert = require('node:assert');
+const nodemailer = require('nodemailer');
+
+const { createTelegramChannel } = require('../lib/channels/telegram');
+const { createEmailChannel } = require('../lib/channels/email');
+const { createWebhookChannel, signWebhookBody } = require('../lib/channels/webhook');
+
+const notification = {
+    event: 'new_payment',
+    subject: '💰 New payment #A7K2 - Rs 500',
+    text: 'New Order Alert! 💰 #A7K2',
+    payment: { paymentId: 'pay1', shortCode: '#A7K2', amount: 'Rs 500' },
+    media: null,
+    buttons: [{ text: '✅ Approve', data: 'approve:pay1' }, { text: '❌ Reject', data: 'reject:pay1' }]
+};
+
+// Function to replace fetch for one test, answering every request with `respond(url, options)`
+function mockFetch(t, respond = () => ({ ok: true, result: { message_id: 1 } })) {
+    const calls = [];
+    const originalFetch = global.fetch;
+    global.fetch = async (url, options) => {
+        calls.push({ url, options });
+        const body = respond(url, options);
+        return { ok: body.ok !== false, status: body.status || 200, json: async () => body };
+    };
+    t.after(() => {
+        global.fetch = originalFetch;
+    });
+    return calls;
+}
+
+test('telegram sends the alert to every chat with inline buttons', async (t) => {
+    const calls = mockFetch(t);
+    const telegram = createTelegramChannel({ token: 'TOKEN', chatIds: ['-1001', -1002] });
+    
+    await telegram.send(notification);
+    
+    assert.strictEqual(calls.length, 2);
+    assert.strictEqual(calls[0].url, 'https://api.telegram.org/botTOKEN/sendMessage');
+    const body = JSON.parse(calls[1].options.body);
+    assert.strictEqual(body.chat_id, '-1002');
+    assert.strictEqual(body.text, notification.text);
+    assert.deepStrictEqual(body.reply_markup.inline_keyboard[0].map(button => button.callback_data), ['approve:pay1', 'reject:pay1']);
+});
+
+test('telegram uploads the screenshot before the alert and reports failed chats', async (t) => {
+    const calls = mockFetch(t, (url, options) => (options.body instanceof FormData || !options.body.includes('-1002')
+        ? { ok: true, result: {} }
+        : { ok: false, status: 400, description: 'Bad Request: chat not found' }));
+    const telegram = createTelegramChannel({ token: 'TOKEN', chatIds: ['-1001', '-1002'] });
+    const media = { mimetype: 'image/png', data: Buffer.from('png').toString('base64'), filename: 'proof.png' };
+    
+    await assert.rejects(telegram.send({ ...notification, media }), /-1002: Telegram sendMessage failed: Bad Request: chat not found/);
+    assert.deepStrictEqual(calls.map(call => call.url.split('/').pop()), ['sendPhoto', 'sendMessage', 'sendPhoto', 'sendMessage']);
+    assert.strictEqual(calls[0].options.body.get('chat_id'), '-1001');
+});
+
+test('telegram retries only the chats that missed the alert', async (t) => {
+    let chatDown = true;
+    const calls = mockFetch(t, (url, options) => (chatDown && options.body.includes('-1002')
+        ? { ok: false, status: 429, description: 'Too Many Requests' }
+        : { ok: true, result: {} }));
+    const telegram = createTelegramChannel({ token: 'TOKEN', chatIds: ['-1001', '-1002'] });
+    
+    const error = await telegram.send(notification).catch(sendError => sendError);
+    assert.deepStrictEqual(error.sentChatIds, ['-1001']);
+    
+    chatDown = false;
+    calls.length = 0;
+    await telegram.send(notification, { skipChatIds: error.sentChatIds });
+    assert.deepStrictEqual(calls.map(call => JSON.parse(call.options.body).chat_id), ['-1002']);
+});
+
+test('webhook posts the event with a verifiable signature', async (t) => {
+    const calls = mockFetch(t, () => ({ ok: true }));
+    const webhook = createWebhookChannel({ url: 'https://example.com/hooks/payments', secret: 's3cret' });
+    
+    await webhook.send(notification);
+    
+    const { url, options } = calls[0];
+    assert.strictEqual(url, 'https://example.com/hooks/payments');
+    assert.strictEqual(options.headers['X-Webhook-Event'], 'new_payment');
+    const timestamp = options.headers['X-Webhook-Timestamp'];
+    assert.strictEqual(options.headers['X-Webhook-Signature'], `sha256=${signWebhookBody('s3cret', timestamp, options.body)}`);
+    assert.deepStrictEqual(JSON.parse(options.body).payment, notification.payment);
+});
+
+test('webhook failures are thrown', async (t) => {
+    mockFetch(t, () => ({ ok: false, status: 502 }));
+    const webhook = createWebhookChannel({ url: 'https://example.com/hooks/payments' });
+    
+    await assert.rejects(webhook.send(notification), /HTTP 502/);
+});
+
+test('email sends the alert with the screenshot attached', async () => {
+    const sent = [];
+    const transport = nodemailer.createTransport({ jsonTransport: true });
+    const originalSendMail = transport.sendMail.bind(transport);
+    transport.sendMail = async (mail) => {
+        sent.push(await originalSendMail(mail));
+    };
+    const email = createEmailChannel({ to: 'team@example.com', from: 'bot@example.com', transport });
+    const media = { mimetype: 'image/png', data: Buffer.from('png').toString('base64'), filename: 'proof.png' };
+    
+    await email.send({ ...notification, media });
+    
+    const mail = JSON.parse(sent[0].message);
+    assert.strictEqual(mail.subject, notification.subject);
+    assert.strictEqual(mail.text, notification.text);
+    assert.strictEqual(mail.attachments[0].filename, 'proof.png');
+});
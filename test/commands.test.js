@@ -0,0 +1,146 @@
+// Payment commands run against the fixture store and the console transport (no Firestore or WhatsApp)
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.WHATSAPP_PHONE_NUMBER = 'test-group@g.us';
+process.env.WHATSAPP_ADMINS = '9779800000001';
+process.env.WHATSAPP_APPROVERS = '9779800000002';
+process.env.WHATSAPP_VIEWERS = '9779800000003';
+
+const { setupBot } = require('./helpers');
+const { getStores, startFirestoreMonitoring, stopFirestoreMonitoring } = require('../index');
+
+const ADMIN = '9779800000001';
+const APPROVER = '9779800000002';
+const VIEWER = '9779800000003';
+
+// Function to set up a fresh payment source and chat for one test
+function setup(extraFixtures = {}) {
+    return setupBot({
+        author: APPROVER,
+        fixtures: {
+            payments: [
+                { id: 'pay1', shortCode: 'A7K2', fullName: 'Ram Shrestha', phone: '9779812345678', orderTotal: 'Rs 500', status: 'pending' },
+                { id: 'pay2', shortCode: 'B3MX', fullName: 'Sita Gurung', phone: '9779808765432', orderTotal: 'Rs 900', status: 'rejected' }
+            ],
+            ...extraFixtures
+        }
+    });
+}
+
+test('approving a payment updates its status and history', async () => {
+    const { db, send, getPayment } = setup();
+    
+    const replies = await send('pay1 + approved');
+    
+    assert.match(replies[0], /Payment Approved Successfully/);
+    const payment = await getPayment('pay1');
+    assert.strictEqual(payment.status, 'approved');
+    assert.strictEqual(payment.approvedByNumber, APPROVER);
+    
+    const history = await db.collection('payments').doc('pay1').collection('history').get();
+    assert.strictEqual(history.size, 1);
+    assert.deepStrictEqual([history.docs[0].data().from, history.docs[0].data().to], ['pending', 'approved']);
+});
+
+test('rejecting without a reason asks for one and leaves the payment pending', async () => {
+    const { send, getPayment } = setup();
+    
+    const replies = await send('pay1 + rejected');
+    
+    assert.match(replies[0], /A reason is required/);
+    assert.strictEqual((await getPayment('pay1')).status, 'pending');
+});
+
+test('rejecting with a reason stores the reason', async () => {
+    const { send, getPayment } = setup();
+    
+    const replies = await send('pay1 + rejected: wrong amount');
+    
+    assert.match(replies[0], /Payment Rejected Successfully/);
+    const payment = await getPayment('pay1');
+    assert.strictEqual(payment.status, 'rejected');
+    assert.strictEqual(payment.rejectionReason, 'wrong amount');
+});
+
+test('a transition not allowed from the current status is refused', async () => {
+    const { send, getPayment } = setup();
+    
+    const replies = await send('pay2 + approved');
+    
+    assert.match(replies[0], /is REJECTED and cannot be changed to APPROVED/);
+    assert.strictEqual((await getPayment('pay2')).status, 'rejected');
+});
+
+test('unknown payments are reported as not found', async () => {
+    const { send } = setup();
+    
+    const replies = await send('nope + approved');
+    
+    assert.match(replies[0], /Payment ID "nope" not found/);
+});
+
+test('viewers cannot approve payments', async () => {
+    const { send, getPayment } = setup();
+    
+    const replies = await send('pay1 + approved', { author: VIEWER });
+    
+    assert.match(replies[0], /don't have permission to approve payments/);
+    assert.strictEqual((await getPayment('pay1')).status, 'pending');
+});
+
+test('short codes resolve to the payment', async () => {
+    const { send, getPayment } = setup();
+    
+    await send('#a7k2 + approved');
+    
+    assert.strictEqual((await getPayment('pay1')).status, 'approved');
+});
+
+test('replying "approve" to an alert approves its payment', async () => {
+    const { transport, send, getPayment } = setup({ alertMessages: { 'sim-1': { paymentId: 'pay1' } } });
+    await transport.sendMessage('test-group@g.us', 'New Order Alert! 💰 #A7K2');
+    
+    await send('approve', { quotedNumber: 1 });
+    
+    assert.strictEqual((await getPayment('pay1')).status, 'approved');
+});
+
+test('undo reverts the last status change', async () => {
+    const { send, getPayment } = setup();
+    await send('pay1 + approved');
+    
+    const replies = await send('pay1 undo');
+    
+    assert.match(replies[0], /pay1/);
+    assert.strictEqual((await getPayment('pay1')).status, 'pending');
+});
+
+test('messages from other chats are ignored', async () => {
+    const { send, getPayment } = setup();
+    
+    const replies = await send('pay1 + approved', { chatId: 'other-group@g.us' });
+    
+    assert.strictEqual(replies.length, 0);
+    assert.strictEqual((await getPayment('pay1')).status, 'pending');
+});
+
+test('pause is limited to admins', async () => {
+    const { send } = setup();
+    
+    assert.match((await send('pause'))[0], /don't have permission/);
+    assert.match((await send('status', { author: ADMIN }))[0], /Server Status/);
+});
+
+test('payments written without a status are listed as pending once the bot has seen them', async () => {
+    const { send, getPayment } = setup({
+        payments: [{ id: 'pay3', shortCode: 'C9PQ', fullName: 'Hari Thapa', orderTotal: 'Rs 200', notificationStatus: 'sent', createdAt: new Date() }]
+    });
+    
+    await startFirestoreMonitoring(getStores()[0]);
+    await new Promise(resolve => setTimeout(resolve, 100));
+    stopFirestoreMonitoring(getStores()[0]);
+    
+    assert.strictEqual((await getPayment('pay3')).status, 'pending');
+    assert.match((await send('pending'))[0], /Hari Thapa/);
+});
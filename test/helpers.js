@@ -0,0 +1,33 @@
+// Shared test setup: fresh fixture payment sources and a console chat that records the bot's replies.
+// Require it after setting the environment a test file needs, since it loads the bot.
+const { useAdapters, handleCommand } = require('../index');
+const { createFixtureSource } = require('../lib/adapters/fixtures');
+const { createConsoleTransport } = require('../lib/adapters/console');
+
+// Function to plug fresh fixture sources into the bot and open a chat to send commands from.
+// Options: fixtures (collections for every store), stores ({ storeId: collections } for STORES_FILE tests),
+// chatId (default: test-group@g.us) and author (the sender number).
+function setupBot(options = {}) {
+    const db = options.fixtures ? createFixtureSource([options.fixtures]) : null;
+    const stores = {};
+    for (const [storeId, fixtures] of Object.entries(options.stores || {})) {
+        stores[storeId] = createFixtureSource([fixtures]);
+    }
+    useAdapters({ db, stores });
+    
+    const transport = createConsoleTransport({ chatId: options.chatId || 'test-group@g.us', author: options.author, echo: false });
+    
+    // Function to send a command and return the replies it produced (options as in transport.createMessage)
+    const send = async (body, messageOptions) => {
+        const before = transport.sent.length;
+        await handleCommand(transport.createMessage(body, messageOptions));
+        return transport.sent.slice(before).map(entry => entry.body);
+    };
+    
+    // Function to read a payment document as stored
+    const getPayment = async (paymentId, source = db) => (await source.collection('payments').doc(paymentId).get()).data();
+    
+    return { db, stores, transport, send, getPayment };
+}
+
+module.exports = { setupBot };
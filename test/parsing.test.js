@@ -0,0 +1,84 @@
+// Parsing of commands, command arguments and phone numbers
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.BOT_TIMEZONE = 'Asia/Kathmandu';
+process.env.DEFAULT_COUNTRY_CODE = '977';
+
+const { parseReportRange, parseExportArgs, parseTimeWindow, toCustomerChatId } = require('../index');
+const { parseCommand, parseAlertReply, parseStorePrefix } = require('../lib/commands');
+
+test('parseReportRange reads single days and ranges in the bot timezone', () => {
+    const day = parseReportRange('2026-10-01');
+    assert.strictEqual(day.start.toISOString(), '2026-09-30T18:15:00.000Z');
+    assert.strictEqual(day.end.toISOString(), '2026-10-01T18:15:00.000Z');
+    assert.strictEqual(day.label, '2026-10-01');
+    
+    const range = parseReportRange('2026-10-01..2026-10-07');
+    assert.strictEqual(range.end.toISOString(), '2026-10-07T18:15:00.000Z');
+    assert.strictEqual(range.label, '2026-10-01 to 2026-10-07');
+});
+
+test('parseReportRange covers the named ranges and rejects bad input', () => {
+    const today = parseReportRange('today');
+    assert.strictEqual(today.end - today.start, 24 * 60 * 60 * 1000);
+    assert.strictEqual(parseReportRange().label, today.label);
+    
+    const week = parseReportRange('week');
+    assert.strictEqual(week.end - week.start, 7 * 24 * 60 * 60 * 1000);
+    assert.ok(parseReportRange('month').start <= today.start);
+    
+    assert.strictEqual(parseReportRange('2026-10-07..2026-10-01'), null);
+    assert.strictEqual(parseReportRange('last tuesday'), null);
+});
+
+test('parseExportArgs takes the format and status from the end', () => {
+    assert.deepStrictEqual(parseExportArgs(''), { rangeText: 'today', status: null, format: 'csv' });
+    assert.deepStrictEqual(parseExportArgs('month approved xlsx'), { rangeText: 'month', status: 'approved', format: 'xlsx' });
+    assert.deepStrictEqual(parseExportArgs('2026-10-01..2026-10-07 Rejected'), { rangeText: '2026-10-01..2026-10-07', status: 'rejected', format: 'csv' });
+});
+
+test('parseTimeWindow reads HH:MM-HH:MM windows', () => {
+    assert.deepStrictEqual(parseTimeWindow('22:00-07:30'), { start: 22 * 60, end: 7 * 60 + 30, label: '22:00-07:30' });
+    assert.strictEqual(parseTimeWindow('10pm-7am'), null);
+    assert.strictEqual(parseTimeWindow(undefined), null);
+});
+
+test('toCustomerChatId adds the default country code to local numbers', () => {
+    assert.strictEqual(toCustomerChatId('9812345678'), '9779812345678@c.us');
+    assert.strictEqual(toCustomerChatId('09812345678'), '9779812345678@c.us');
+    assert.strictEqual(toCustomerChatId('+1 (555) 010-9999'), '15550109999@c.us');
+    assert.strictEqual(toCustomerChatId('0044 20 7946 0000'), '442079460000@c.us');
+    assert.strictEqual(toCustomerChatId(''), null);
+});
+
+test('parseCommand reads payment commands and keeps the reference case', () => {
+    assert.deepStrictEqual(parseCommand('status #a7k2'), { name: 'status', reference: '#a7k2' });
+    assert.deepStrictEqual(parseCommand('AbC123 + Approved'), { name: 'transition', reference: 'AbC123', status: 'approved', reason: null });
+    assert.deepStrictEqual(parseCommand('AbC123 + rejected: wrong amount '), { name: 'transition', reference: 'AbC123', status: 'rejected', reason: 'wrong amount' });
+    assert.deepStrictEqual(parseCommand('AbC123 + delivered: CODE-1\nCODE-2'), { name: 'delivered', reference: 'AbC123', content: 'CODE-1\nCODE-2' });
+    assert.deepStrictEqual(parseCommand('AbC123+redeliver'), { name: 'redeliver', reference: 'AbC123' });
+    assert.deepStrictEqual(parseCommand('AbC123 undo'), { name: 'undo', reference: 'AbC123' });
+});
+
+test('parseCommand reads lookups, reports and server commands', () => {
+    assert.deepStrictEqual(parseCommand('last 20'), { name: 'query', query: 'last', argument: '20' });
+    assert.deepStrictEqual(parseCommand('Search Ram Shrestha'), { name: 'query', query: 'search', argument: 'Ram Shrestha' });
+    assert.deepStrictEqual(parseCommand('export week approved'), { name: 'export', args: 'week approved' });
+    assert.deepStrictEqual(parseCommand('report'), { name: 'report', args: undefined });
+    assert.deepStrictEqual(parseCommand('resend abc123'), { name: 'resend', id: 'abc123' });
+    assert.deepStrictEqual(parseCommand(' Pause '), { name: 'server', command: 'pause', role: 'admin' });
+    assert.deepStrictEqual(parseCommand('status'), { name: 'server', command: 'status', role: 'viewer' });
+    assert.strictEqual(parseCommand('thanks!'), null);
+    assert.strictEqual(parseCommand('AbC123 + shipped'), null);
+});
+
+test('parseAlertReply and parseStorePrefix read replies and store prefixes', () => {
+    assert.deepStrictEqual(parseAlertReply('Reject: fake screenshot'), { name: 'transition', status: 'rejected', reason: 'fake screenshot' });
+    assert.deepStrictEqual(parseAlertReply('approve'), { name: 'transition', status: 'approved', reason: null });
+    assert.deepStrictEqual(parseAlertReply('undo'), { name: 'undo' });
+    assert.strictEqual(parseAlertReply('looks good'), null);
+    
+    assert.deepStrictEqual(parseStorePrefix('games: last 5'), { storeId: 'games', commandText: 'last 5' });
+    assert.strictEqual(parseStorePrefix('AbC123 + rejected: wrong amount'), null);
+});
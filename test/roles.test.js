@@ -0,0 +1,33 @@
+// Without WHATSAPP_ADMINS/APPROVERS/VIEWERS, chat members may look but not approve
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.WHATSAPP_PHONE_NUMBER = 'test-group@g.us';
+delete process.env.WHATSAPP_ADMINS;
+delete process.env.WHATSAPP_APPROVERS;
+delete process.env.WHATSAPP_VIEWERS;
+delete process.env.WHATSAPP_ALLOW_ALL_MEMBERS;
+
+const { setupBot } = require('./helpers');
+
+// Function to set up a pending payment and a chat member who is on no list
+function setup() {
+    return setupBot({
+        author: '9779800000009',
+        fixtures: [{ id: 'pay1', shortCode: 'A7K2', fullName: 'Ram Shrestha', orderTotal: 'Rs 500', status: 'pending' }]
+    });
+}
+
+test('an empty allowlist does not let members approve or control the server', async () => {
+    const { send, getPayment } = setup();
+    
+    assert.match((await send('pay1 + approved'))[0], /don't have permission/);
+    assert.match((await send('pause'))[0], /don't have permission/);
+    assert.strictEqual((await getPayment('pay1')).status, 'pending');
+});
+
+test('an empty allowlist still lets members look up payments', async () => {
+    const { send } = setup();
+    
+    assert.match((await send('status #A7K2'))[0], /Ram Shrestha/);
+});
@@ -0,0 +1,58 @@
+// Alert routing: which chats a payment alert goes to
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const routingFile = path.join(os.tmpdir(), `routing-test-${process.pid}.json`);
+fs.writeFileSync(routingFile, JSON.stringify({
+    defaultChats: ['all@g.us'],
+    rules: [
+        { name: 'eSewa', match: { paymentMethod: 'eSewa' }, chats: ['esewa@g.us'] },
+        { name: 'Wholesale', match: { minAmount: 5000 }, chats: ['wholesale@g.us'], exclusive: true }
+    ]
+}));
+
+process.env.ROUTING_FILE = routingFile;
+
+const { resolveAlertChats, findStore, runInStore, normalizePayment } = require('../index');
+const { loadRoutingConfig, matchAlertChats } = require('../lib/routing');
+
+test.after(() => fs.unlinkSync(routingFile));
+
+// Function to resolve the alert chats of a payment in the single store
+function chatsFor(paymentData) {
+    return runInStore(findStore('default'), () => resolveAlertChats(paymentData));
+}
+
+test('a payment matching no rule goes to the default chats', () => {
+    assert.deepStrictEqual(chatsFor({ paymentMethod: 'Khalti', orderTotal: 'Rs 500' }), ['all@g.us']);
+});
+
+test('rule chats are added to the default chats', () => {
+    assert.deepStrictEqual(chatsFor({ paymentMethod: 'eSewa', orderTotal: 'Rs 500' }), ['all@g.us', 'esewa@g.us']);
+});
+
+test('an exclusive rule replaces the default chats', () => {
+    assert.deepStrictEqual(chatsFor({ paymentMethod: 'eSewa', orderTotal: 'Rs 6000' }), ['esewa@g.us', 'wholesale@g.us']);
+});
+
+test('a routing config from STORES_FILE lets rule, admin and escalation chats run commands', () => {
+    const config = loadRoutingConfig({
+        config: {
+            routing: {
+                adminChats: ['admins@g.us'],
+                rules: [{ match: { product: ['PUBG UC', 'Free Fire'] }, chats: 'games@g.us', stop: true }, { match: {}, chats: ['later@g.us'] }]
+            }
+        }
+    }, { defaultChat: 'main@g.us', escalationChatId: 'owner@c.us' });
+    
+    assert.deepStrictEqual(config.defaultChats, ['main@g.us']);
+    assert.deepStrictEqual(config.reportChats, ['main@g.us']);
+    assert.deepStrictEqual([...config.commandChats].sort(), ['admins@g.us', 'games@g.us', 'later@g.us', 'main@g.us', 'owner@c.us']);
+    
+    // A stopping rule keeps later rules from adding their chats
+    const payment = normalizePayment({ productName: 'free fire', orderTotal: 'Rs 100' });
+    assert.deepStrictEqual(matchAlertChats(config, payment), ['main@g.us', 'games@g.us']);
+});
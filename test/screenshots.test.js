@@ -0,0 +1,19 @@
+// Screenshot URLs come from customer-written payments, so only safe ones are fetched
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.SCREENSHOT_HOSTS = 'localhost, 127.0.0.1, [::ffff:a9fe:a9fe], 93.184.215.14';
+
+const { checkScreenshotUrl } = require('../index');
+
+test('screenshot URLs must use https on an allowed host', async () => {
+    await assert.rejects(checkScreenshotUrl('http://93.184.215.14/proof.png'), /not https/);
+    await assert.rejects(checkScreenshotUrl('https://example.org/proof.png'), /example\.org is not allowed/);
+    await checkScreenshotUrl('https://93.184.215.14/proof.png');
+});
+
+test('allowed hosts that resolve to internal addresses are refused', async () => {
+    await assert.rejects(checkScreenshotUrl('https://127.0.0.1/proof.png'), /internal address 127\.0\.0\.1/);
+    await assert.rejects(checkScreenshotUrl('https://localhost/proof.png'), /internal address/);
+    await assert.rejects(checkScreenshotUrl('https://[::ffff:a9fe:a9fe]/latest/meta-data'), /internal address/);
+});
@@ -0,0 +1,84 @@
+// Codes from the stock pool are delivered on approval (CODE_STOCK_AUTO_ASSIGN)
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.WHATSAPP_PHONE_NUMBER = 'test-group@g.us';
+process.env.WHATSAPP_APPROVERS = '9779800000002';
+process.env.CODE_STOCK_AUTO_ASSIGN = 'true';
+
+const { setupBot } = require('./helpers');
+
+const UC_60 = { name: 'PUBG UC', variant: { label: '60 UC', price: 'Rs 150' } };
+
+// Function to set up a payment with the given order lines and ten 60 UC codes in stock (above the low-stock warning)
+function setup(orderItems) {
+    return setupBot({
+        author: '9779800000002',
+        fixtures: {
+            payments: [
+                { id: 'pay1', fullName: 'Ram Shrestha', phone: '9779812345678', orderItems, orderTotal: 'Rs 450', status: 'pending' }
+            ],
+            codeStock: Array.from({ length: 10 }, (value, index) => ({
+                product: 'PUBG UC', variant: '60 UC', code: `UC60-${index + 1}`, status: 'available'
+            }))
+        }
+    });
+}
+
+test('order lines with the same product and variant each get their own codes', async () => {
+    const { db, send, getPayment } = setup([{ ...UC_60, quantity: 1 }, { ...UC_60, quantity: 2 }]);
+    
+    await send('pay1 + approved');
+    
+    // The codes are recorded even though there is no WhatsApp client to send them with
+    const deliveredCodes = (await getPayment('pay1')).fulfillment.items.map(item => item.code);
+    assert.strictEqual(deliveredCodes.length, 3);
+    assert.strictEqual(new Set(deliveredCodes).size, 3);
+    
+    const assigned = await db.collection('codeStock').where('status', '==', 'assigned').get();
+    assert.deepStrictEqual(assigned.docs.map(doc => doc.data().code).sort(), [...deliveredCodes].sort());
+});
+
+test('nothing is assigned when the lines together need more codes than are in stock', async () => {
+    const { db, send, getPayment } = setup([{ ...UC_60, quantity: 6 }, { ...UC_60, quantity: 5 }]);
+    
+    await send('pay1 + approved');
+    
+    assert.strictEqual((await getPayment('pay1')).fulfillmentStatus, 'out_of_stock');
+    const assigned = await db.collection('codeStock').where('status', '==', 'assigned').get();
+    assert.strictEqual(assigned.size, 0);
+});
+
+test('a failed delivery lists its codes, sends the same ones again and returns them to stock on undo', async () => {
+    const { db, send, getPayment } = setup([{ ...UC_60, quantity: 2 }]);
+    const assignedCodes = async () => (await db.collection('codeStock').where('status', '==', 'assigned').get())
+        .docs.map(doc => doc.data().code).sort();
+    
+    // There is no WhatsApp client to send the codes with, so every delivery fails
+    const approveReplies = await send('pay1 + approved');
+    const codes = await assignedCodes();
+    assert.strictEqual(codes.length, 2);
+    const failureReply = approveReplies.find(reply => /could not be delivered/.test(reply));
+    codes.forEach(code => assert.ok(failureReply.includes(code)));
+    assert.match(failureReply, /pay1 \+ redeliver/);
+    
+    const [redeliverReply] = await send('pay1 + redeliver');
+    assert.match(redeliverReply, /could not be delivered/);
+    assert.deepStrictEqual(await assignedCodes(), codes);
+    assert.deepStrictEqual((await getPayment('pay1')).fulfillment.items.map(item => item.code).sort(), codes);
+    
+    const [undoReply] = await send('pay1 undo');
+    assert.match(undoReply, /2 assigned stock codes went back to stock/);
+    assert.deepStrictEqual(await assignedCodes(), []);
+    assert.strictEqual((await getPayment('pay1')).fulfillment, undefined);
+});
+
+test('a code delivered by hand returns the undelivered stock codes', async () => {
+    const { db, send } = setup([{ ...UC_60, quantity: 1 }]);
+    
+    await send('pay1 + approved');
+    await send('pay1 + delivered MANUAL-CODE');
+    
+    const assigned = await db.collection('codeStock').where('status', '==', 'assigned').get();
+    assert.strictEqual(assigned.size, 0);
+});
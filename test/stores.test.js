@@ -0,0 +1,128 @@
+// Several stores (STORES_FILE) served by one bot: command routing, collection names and field mappings
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const storesFile = path.join(os.tmpdir(), `stores-test-${process.pid}.json`);
+fs.writeFileSync(storesFile, JSON.stringify({
+    stores: [
+        {
+            id: 'games',
+            name: 'Game Top-ups',
+            collections: { payments: 'orders' },
+            fields: { fullName: 'customer.name', phone: 'customer.phone', orderTotal: 'total', createdAt: 'placedAt' },
+            routing: { defaultChats: ['games@g.us'] }
+        },
+        {
+            id: 'shop',
+            name: 'Gift Shop',
+            routing: { defaultChats: ['shop@g.us'] }
+        }
+    ]
+}));
+
+process.env.STORES_FILE = storesFile;
+process.env.WHATSAPP_PHONE_NUMBER = 'shared@g.us';
+process.env.WHATSAPP_ADMINS = '9779800000001';
+
+const { setupBot } = require('./helpers');
+const { createStore, runInStore, readPaymentData, getStoreLabel } = require('../lib/stores');
+
+test.after(() => fs.unlinkSync(storesFile));
+
+// Function to set up fresh payment sources for both stores
+function setup() {
+    const { stores, send } = setupBot({
+        author: '9779800000001',
+        stores: {
+            games: {
+                orders: [
+                    { id: 'G1', shortCode: 'GAME', customer: { name: 'Ram Shrestha', phone: '9779812345678' }, total: 'Rs 300', status: 'pending', placedAt: new Date() },
+                    { id: 'DUP', customer: { name: 'Hari Thapa' }, total: 'Rs 100', status: 'pending', placedAt: new Date() }
+                ]
+            },
+            shop: {
+                payments: [
+                    { id: 'S1', shortCode: 'SHOP', fullName: 'Sita Gurung', orderTotal: 'Rs 900', status: 'pending', createdAt: new Date() },
+                    { id: 'DUP', fullName: 'Gita Rai', orderTotal: 'Rs 200', status: 'pending', createdAt: new Date() }
+                ]
+            }
+        }
+    });
+    
+    return { gamesDb: stores.games, shopDb: stores.shop, send: (chatId, body) => send(body, { chatId }) };
+}
+
+test('a store chat runs commands in its store, reading mapped fields', async () => {
+    const { gamesDb, send } = setup();
+    
+    const replies = await send('games@g.us', 'G1 + approved');
+    
+    assert.match(replies[0], /Payment Approved Successfully/);
+    assert.match(replies[0], /Customer: Ram Shrestha/);
+    assert.strictEqual((await gamesDb.collection('orders').doc('G1').get()).data().status, 'approved');
+});
+
+test('a chat shared by several stores finds the store from the payment', async () => {
+    const { shopDb, send } = setup();
+    
+    const replies = await send('shared@g.us', '#SHOP + approved');
+    
+    assert.match(replies[0], /Payment Approved Successfully/);
+    assert.strictEqual((await shopDb.collection('payments').doc('S1').get()).data().status, 'approved');
+});
+
+test('a payment found in several stores needs the store prefix', async () => {
+    const { gamesDb, shopDb, send } = setup();
+    
+    const replies = await send('shared@g.us', 'DUP + approved');
+    assert.match(replies[0], /exists in several stores \(games, shop\)/);
+    
+    await send('shared@g.us', 'shop: DUP + approved');
+    assert.strictEqual((await shopDb.collection('payments').doc('DUP').get()).data().status, 'approved');
+    assert.strictEqual((await gamesDb.collection('orders').doc('DUP').get()).data().status, 'pending');
+});
+
+test('store commands in a shared chat ask for the store, and run with it', async () => {
+    const { send } = setup();
+    
+    const [askReply] = await send('shared@g.us', 'pending');
+    assert.match(askReply, /serves several stores \(games, shop\)/);
+    
+    const [pendingReply] = await send('shared@g.us', 'games: pending');
+    assert.match(pendingReply, /Pending payments \(oldest first\) - Game Top-ups/);
+    assert.match(pendingReply, /Ram Shrestha/);
+    assert.doesNotMatch(pendingReply, /Sita Gurung/);
+    
+    const [reportReply] = await send('shared@g.us', 'shop: report today');
+    assert.match(reportReply, /Sales Report - Gift Shop - /);
+    assert.match(reportReply, /Orders: 2/);
+    
+    const [mappedReportReply] = await send('shared@g.us', 'games: report today');
+    assert.match(mappedReportReply, /Sales Report - Game Top-ups - /);
+    assert.match(mappedReportReply, /Orders: 2/);
+});
+
+test('a store prefix for another store is ignored in a store chat', async () => {
+    const { send } = setup();
+    
+    assert.deepStrictEqual(await send('games@g.us', 'shop: pending'), []);
+    assert.deepStrictEqual(await send('elsewhere@g.us', 'games: pending'), []);
+});
+
+test('a store reads mapped order fields and names its own collections', () => {
+    const store = createStore({ id: 'books', collections: { payments: 'orders' }, fields: { fullName: 'buyer.name', orderTotal: 'total' } });
+    assert.strictEqual(store.collections.payments, 'orders');
+    assert.strictEqual(store.collections.alertMessages, 'alertMessages');
+    
+    const paymentDoc = { id: 'B1', data: () => ({ buyer: { name: 'Sita Gurung' }, total: 'Rs 450', orderTotal: 'Rs 500' }) };
+    const paymentData = runInStore(store, () => readPaymentData(paymentDoc));
+    assert.strictEqual(paymentData.id, 'B1');
+    assert.strictEqual(paymentData.fullName, 'Sita Gurung');
+    assert.strictEqual(paymentData.orderTotal, 'Rs 500'); // A field the document has under the bot's name wins
+    
+    // With several stores, an unnamed store is labelled by its ID
+    assert.strictEqual(getStoreLabel(store), 'books');
+});
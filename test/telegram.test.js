@@ -0,0 +1,109 @@
+// Telegram Approve/Reject buttons drive the same approval logic as WhatsApp commands
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.WHATSAPP_PHONE_NUMBER = 'test-group@g.us';
+process.env.TELEGRAM_BOT_TOKEN = 'TOKEN';
+process.env.TELEGRAM_CHAT_IDS = '-1001';
+process.env.TELEGRAM_APPROVERS = '@sita,42';
+
+const { handleTelegramUpdate } = require('../index');
+const { setupBot } = require('./helpers');
+
+const SITA = { id: 7, first_name: 'Sita', username: 'sita' };
+const STRANGER = { id: 8, first_name: 'Hari', username: 'hari' };
+let updateId = 0;
+let messageId = 100;
+
+// Function to set up a fresh payment source and a recorder for Telegram API calls
+function setup(t) {
+    const { getPayment } = setupBot({
+        fixtures: [{ id: 'pay1', shortCode: 'A7K2', fullName: 'Ram Shrestha', orderTotal: 'Rs 500', status: 'pending' }]
+    });
+    
+    const calls = [];
+    const originalFetch = global.fetch;
+    global.fetch = async (url, options) => {
+        calls.push({ method: url.split('/').pop(), params: JSON.parse(options.body) });
+        return { ok: true, status: 200, json: async () => ({ ok: true, result: { message_id: ++messageId } }) };
+    };
+    t.after(() => {
+        global.fetch = originalFetch;
+    });
+    
+    const press = (data, from = SITA) => handleTelegramUpdate({
+        update_id: ++updateId,
+        callback_query: { id: `cb${updateId}`, from, data, message: { message_id: 10, chat: { id: -1001 } } }
+    });
+    const reply = (text, replyToMessageId, from = SITA) => handleTelegramUpdate({
+        update_id: ++updateId,
+        message: { message_id: ++messageId, from, chat: { id: -1001 }, text, reply_to_message: { message_id: replyToMessageId } }
+    });
+    
+    return { calls, press, reply, getPayment: () => getPayment('pay1') };
+}
+
+test('the Approve button approves the payment and removes the buttons', async (t) => {
+    const { calls, press, getPayment } = setup(t);
+    
+    await press('approve:pay1');
+    
+    const payment = await getPayment();
+    assert.strictEqual(payment.status, 'approved');
+    assert.strictEqual(payment.approvedByName, 'Sita (Telegram)');
+    assert.deepStrictEqual(calls.map(call => call.method), ['answerCallbackQuery', 'sendMessage', 'editMessageReplyMarkup']);
+    assert.match(calls[1].params.text, /Payment Approved Successfully/);
+    assert.strictEqual(calls[1].params.reply_to_message_id, 10);
+});
+
+test('the Reject button asks for a reason and rejects on reply', async (t) => {
+    const { calls, press, reply, getPayment } = setup(t);
+    
+    await press('reject:pay1');
+    assert.strictEqual((await getPayment()).status, 'pending');
+    const prompt = calls.find(call => call.params.reply_markup && call.params.reply_markup.force_reply);
+    assert.ok(prompt);
+    
+    await reply('wrong amount', messageId);
+    
+    const payment = await getPayment();
+    assert.strictEqual(payment.status, 'rejected');
+    assert.strictEqual(payment.rejectionReason, 'wrong amount');
+    assert.strictEqual(calls[calls.length - 1].method, 'editMessageReplyMarkup');
+});
+
+test('users outside TELEGRAM_APPROVERS cannot review payments', async (t) => {
+    const { calls, press, getPayment } = setup(t);
+    
+    await press('approve:pay1', STRANGER);
+    
+    assert.strictEqual((await getPayment()).status, 'pending');
+    assert.deepStrictEqual(calls.map(call => call.method), ['answerCallbackQuery']);
+    assert.match(calls[0].params.text, /don't have permission/);
+});
+
+test('without TELEGRAM_APPROVERS nobody can review payments unless every member is allowed', async (t) => {
+    const { press, getPayment } = setup(t);
+    const approvers = process.env.TELEGRAM_APPROVERS;
+    delete process.env.TELEGRAM_APPROVERS;
+    t.after(() => {
+        process.env.TELEGRAM_APPROVERS = approvers;
+        delete process.env.TELEGRAM_ALLOW_ALL_MEMBERS;
+    });
+    
+    await press('approve:pay1');
+    assert.strictEqual((await getPayment()).status, 'pending');
+    
+    process.env.TELEGRAM_ALLOW_ALL_MEMBERS = 'true';
+    await press('approve:pay1', STRANGER);
+    assert.strictEqual((await getPayment()).status, 'approved');
+});
+
+test('replies that do not answer a prompt are ignored', async (t) => {
+    const { calls, reply, getPayment } = setup(t);
+    
+    await reply('hello', 12345);
+    
+    assert.strictEqual(calls.length, 0);
+    assert.strictEqual((await getPayment()).status, 'pending');
+});
@@ -0,0 +1,54 @@
+// Message templates rendered from payment data
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.BOT_TIMEZONE = 'Asia/Kathmandu';
+
+const { formatPaymentMessage } = require('../index');
+const { loadMessageTemplates, selectTemplate, parseTemplate, renderTemplate } = require('../lib/templates');
+
+test('payment times are shown in the bot timezone', () => {
+    const message = formatPaymentMessage({
+        id: 'pay1',
+        fullName: 'Ram Shrestha',
+        orderTotal: 'Rs 500',
+        status: 'pending',
+        createdAt: new Date('2026-10-01T00:00:00Z')
+    });
+    
+    assert.match(message, /Time: 10\/1\/2026, 5:45:00 AM/);
+});
+
+test('the template language renders conditionals, loops and dates', () => {
+    const template = parseTemplate(`Order{#if code} {code}{/if}
+{#each items}
+- {name} x{quantity}
+{else}
+No items
+{/each}
+{#unless paid}
+Unpaid since {createdAt}
+{/unless}`);
+    const context = { code: '#A7K2', items: [{ name: 'PUBG UC', quantity: 2 }], paid: false, createdAt: new Date('2026-10-01T00:00:00Z') };
+    
+    assert.strictEqual(renderTemplate(template, [context]), 'Order #A7K2\n- PUBG UC x2\nUnpaid since 2026-10-01T00:00:00.000Z\n');
+    assert.strictEqual(renderTemplate(template, [{ items: [], paid: true }], { formatDate: () => 'today' }), 'Order\nNo items\n');
+    assert.throws(() => parseTemplate('{#if code}open'), /Missing \{\/if\}/);
+});
+
+test('product and payment method templates override the store default', () => {
+    const templates = loadMessageTemplates({
+        config: {
+            templates: {
+                listItem: 'Item {paymentId}',
+                paymentMethods: { eSewa: { listItem: 'eSewa {paymentId}' } },
+                products: { 'PUBG UC': { listItem: 'UC {paymentId}' } }
+            }
+        }
+    });
+    const render = context => renderTemplate(selectTemplate(templates, 'listItem', context), [context]);
+    
+    assert.strictEqual(render({ paymentId: 'P1', items: [{ name: 'pubg uc' }], paymentMethod: 'eSewa' }), 'UC P1');
+    assert.strictEqual(render({ paymentId: 'P2', items: [], paymentMethod: 'ESEWA' }), 'eSewa P2');
+    assert.strictEqual(render({ paymentId: 'P3', items: [], paymentMethod: 'Khalti' }), 'Item P3');
+});